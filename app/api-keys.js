@@ -0,0 +1,165 @@
+/**
+ * API Key Manager
+ * Issues and verifies the API keys that protect the REST API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'trmnl_';
+
+/**
+ * Keys are stored as SHA-256 hashes; the plain key is only shown when it is created
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyManager {
+  constructor(dataPath = '/data') {
+    this.log = logger.child('ApiKeyManager');
+    this.dataPath = dataPath;
+    this.keysPath = path.join(dataPath, 'api-keys.json');
+    this.secretPath = path.join(dataPath, 'image-token.secret');
+    this.keys = {};
+    this.secret = null;
+
+    this.loadKeys();
+  }
+
+  loadKeys() {
+    try {
+      if (fs.existsSync(this.keysPath)) {
+        const data = fs.readFileSync(this.keysPath, 'utf8');
+        this.keys = JSON.parse(data);
+        this.log.info(`Loaded ${Object.keys(this.keys).length} API keys`);
+      } else {
+        this.keys = {};
+      }
+    } catch (error) {
+      this.log.error('Failed to load API keys:', error.message);
+      this.keys = {};
+    }
+  }
+
+  saveKeys() {
+    try {
+      fs.writeFileSync(this.keysPath, JSON.stringify(this.keys, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      this.log.error('Failed to save API keys:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether API authentication is enforced (at least one key exists)
+   */
+  isEnabled() {
+    return Object.keys(this.keys).length > 0;
+  }
+
+  /**
+   * Create a key; the returned `key` is not stored and can't be retrieved again
+   */
+  createKey(name) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    this.keys[id] = {
+      id,
+      name: name || `Key ${id.substring(0, 4)}`,
+      hash: hashKey(key),
+      prefix: key.substring(0, KEY_PREFIX.length + 4),
+      created: new Date().toISOString(),
+      lastUsed: null
+    };
+    this.saveKeys();
+
+    this.log.info(`Created API key ${id}`);
+    return { ...this.describe(this.keys[id]), key };
+  }
+
+  /**
+   * Revoke (delete) a key
+   */
+  revokeKey(id) {
+    if (!this.keys[id]) {
+      return false;
+    }
+
+    delete this.keys[id];
+    this.saveKeys();
+
+    this.log.info(`Revoked API key ${id}`);
+    return true;
+  }
+
+  /**
+   * Find the key record for a presented key, or null
+   */
+  verify(key) {
+    if (typeof key !== 'string' || !key) {
+      return null;
+    }
+
+    const hash = Buffer.from(hashKey(key), 'hex');
+    const record = Object.values(this.keys).find(k => crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), hash));
+    if (!record) {
+      return null;
+    }
+
+    // Only persist last use once a minute to avoid a write per request
+    const now = Date.now();
+    if (!record.lastUsed || now - new Date(record.lastUsed).getTime() > 60 * 1000) {
+      record.lastUsed = new Date(now).toISOString();
+      this.saveKeys();
+    }
+
+    return record;
+  }
+
+  /**
+   * Secret that image tokens are derived from, created on first use
+   */
+  getSecret() {
+    if (!this.secret) {
+      if (fs.existsSync(this.secretPath)) {
+        this.secret = fs.readFileSync(this.secretPath, 'utf8').trim();
+      } else {
+        this.secret = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(this.secretPath, this.secret, { encoding: 'utf8', mode: 0o600 });
+      }
+    }
+    return this.secret;
+  }
+
+  /**
+   * Token that opens only one profile's image, for image URLs handed to Home Assistant
+   */
+  imageToken(profileId) {
+    return crypto.createHmac('sha256', this.getSecret()).update(`image:${profileId}`).digest('hex').substring(0, 32);
+  }
+
+  verifyImageToken(profileId, token) {
+    if (typeof token !== 'string' || token.length !== 32) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(this.imageToken(profileId)), Buffer.from(token));
+  }
+
+  /**
+   * Public view of a key record, without its hash
+   */
+  describe(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  getAllKeys() {
+    return Object.values(this.keys).map(record => this.describe(record));
+  }
+}
+
+module.exports = ApiKeyManager;
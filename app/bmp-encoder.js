@@ -0,0 +1,283 @@
+/**
+ * BMP Encoder
+ * Writes Windows BMP v3 (BITMAPINFOHEADER) images with an indexed palette
+ */
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+
+// 72 DPI expressed in pixels per metre
+const PIXELS_PER_METRE = 2835;
+
+// TRMNL firmware expects index 0 = black, index 1 = white
+const MONOCHROME_PALETTE = [
+  [0, 0, 0],
+  [255, 255, 255]
+];
+
+const SUPPORTED_BIT_DEPTHS = [1, 4, 8];
+
+/**
+ * Get the number of bytes in one pixel row, padded to a 4-byte boundary
+ */
+function getRowSize(width, bitsPerPixel) {
+  return Math.ceil((width * bitsPerPixel) / 32) * 4;
+}
+
+/**
+ * Encode palette indices (one byte per pixel, top-down rows) as an indexed BMP
+ */
+function encodeIndexed(indices, width, height, palette, bitsPerPixel) {
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+  }
+
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error(`Invalid BMP dimensions: ${width}x${height}`);
+  }
+
+  if (indices.length !== width * height) {
+    throw new Error(`Expected ${width * height} pixels, got ${indices.length}`);
+  }
+
+  const maxColors = 1 << bitsPerPixel;
+  if (palette.length === 0 || palette.length > maxColors) {
+    throw new Error(`Palette must have 1-${maxColors} entries for ${bitsPerPixel} bpp`);
+  }
+
+  const rowSize = getRowSize(width, bitsPerPixel);
+  const imageSize = rowSize * height;
+  const paletteSize = palette.length * 4;
+  const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + paletteSize;
+  const fileSize = dataOffset + imageSize;
+
+  const buffer = Buffer.alloc(fileSize);
+
+  // BITMAPFILEHEADER
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(fileSize, 2);
+  buffer.writeUInt32LE(0, 6);
+  buffer.writeUInt32LE(dataOffset, 10);
+
+  // BITMAPINFOHEADER
+  buffer.writeUInt32LE(INFO_HEADER_SIZE, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22); // positive height = bottom-up rows
+  buffer.writeUInt16LE(1, 26); // planes
+  buffer.writeUInt16LE(bitsPerPixel, 28);
+  buffer.writeUInt32LE(0, 30); // BI_RGB, no compression
+  buffer.writeUInt32LE(imageSize, 34);
+  buffer.writeInt32LE(PIXELS_PER_METRE, 38);
+  buffer.writeInt32LE(PIXELS_PER_METRE, 42);
+  buffer.writeUInt32LE(palette.length, 46);
+  buffer.writeUInt32LE(palette.length, 50);
+
+  // Palette entries are stored as BGRA with a zero reserved byte
+  palette.forEach(([r, g, b], i) => {
+    const offset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + i * 4;
+    buffer[offset] = b;
+    buffer[offset + 1] = g;
+    buffer[offset + 2] = r;
+    buffer[offset + 3] = 0;
+  });
+
+  const pixelsPerByte = 8 / bitsPerPixel;
+  const mask = maxColors - 1;
+
+  for (let y = 0; y < height; y++) {
+    const rowOffset = dataOffset + (height - 1 - y) * rowSize;
+    const source = y * width;
+
+    for (let x = 0; x < width; x++) {
+      const index = indices[source + x];
+      if (index >= palette.length) {
+        throw new Error(`Palette index ${index} out of range at ${x},${y}`);
+      }
+
+      const byteOffset = rowOffset + Math.floor(x / pixelsPerByte);
+      const shift = 8 - bitsPerPixel * ((x % pixelsPerByte) + 1);
+      buffer[byteOffset] |= (index & mask) << shift;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Encode a 1-bit monochrome BMP
+ * `pixels` holds one byte per pixel; zero is black and any other value is white
+ */
+function encodeMonochrome(pixels, width, height) {
+  const indices = new Uint8Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    indices[i] = pixels[i] ? 1 : 0;
+  }
+
+  return encodeIndexed(indices, width, height, MONOCHROME_PALETTE, 1);
+}
+
+/**
+ * Parse the headers and palette of a BMP buffer
+ */
+function parseHeader(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < FILE_HEADER_SIZE + INFO_HEADER_SIZE) {
+    throw new Error('Buffer too small to be a BMP');
+  }
+
+  if (buffer.toString('ascii', 0, 2) !== 'BM') {
+    throw new Error('Missing BM signature');
+  }
+
+  const header = {
+    fileSize: buffer.readUInt32LE(2),
+    dataOffset: buffer.readUInt32LE(10),
+    headerSize: buffer.readUInt32LE(14),
+    width: buffer.readInt32LE(18),
+    height: buffer.readInt32LE(22),
+    planes: buffer.readUInt16LE(26),
+    bitsPerPixel: buffer.readUInt16LE(28),
+    compression: buffer.readUInt32LE(30),
+    imageSize: buffer.readUInt32LE(34),
+    colorsUsed: buffer.readUInt32LE(46),
+    palette: []
+  };
+
+  const paletteStart = FILE_HEADER_SIZE + header.headerSize;
+  for (let i = 0; i < header.colorsUsed; i++) {
+    const offset = paletteStart + i * 4;
+    header.palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+  }
+
+  return header;
+}
+
+/**
+ * Decode an uncompressed indexed BMP to one 8-bit luminance byte per pixel (top-down rows)
+ */
+function decodeGrayscale(buffer) {
+  const header = parseHeader(buffer);
+
+  if (header.compression !== 0 || !SUPPORTED_BIT_DEPTHS.includes(header.bitsPerPixel)) {
+    throw new Error(`Unsupported BMP: ${header.bitsPerPixel} bpp, compression ${header.compression}`);
+  }
+
+  const width = Math.abs(header.width);
+  const height = Math.abs(header.height);
+  const bottomUp = header.height > 0;
+  const rowSize = getRowSize(width, header.bitsPerPixel);
+  const pixelsPerByte = 8 / header.bitsPerPixel;
+  const mask = (1 << header.bitsPerPixel) - 1;
+  const luminance = header.palette.map(([r, g, b]) => Math.round(0.299 * r + 0.587 * g + 0.114 * b));
+
+  const data = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const rowOffset = header.dataOffset + (bottomUp ? height - 1 - y : y) * rowSize;
+
+    for (let x = 0; x < width; x++) {
+      const byte = buffer[rowOffset + Math.floor(x / pixelsPerByte)];
+      const shift = 8 - header.bitsPerPixel * ((x % pixelsPerByte) + 1);
+      data[y * width + x] = luminance[(byte >> shift) & mask] || 0;
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Find the first stored row whose bits past the last pixel are not all zero
+ * Returns -1 when every row is padded with zeros
+ */
+function findDirtyPadding(buffer, header, rowSize) {
+  const usedBits = Math.abs(header.width) * header.bitsPerPixel;
+  const height = Math.abs(header.height);
+
+  for (let row = 0; row < height; row++) {
+    const rowOffset = header.dataOffset + row * rowSize;
+    for (let bit = usedBits; bit < rowSize * 8; bit++) {
+      if (buffer[rowOffset + (bit >> 3)] & (0x80 >> (bit & 7))) {
+        return row;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Verify that a buffer is a well-formed BMP v3 with the given size and bit depth
+ * Returns a list of problems; an empty list means the image is valid
+ */
+function verify(buffer, expected = {}) {
+  const problems = [];
+  let header;
+
+  try {
+    header = parseHeader(buffer);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const bitsPerPixel = expected.bitsPerPixel || header.bitsPerPixel;
+  const rowSize = getRowSize(Math.abs(header.width), bitsPerPixel);
+  const imageSize = rowSize * Math.abs(header.height);
+  const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + header.colorsUsed * 4;
+
+  const checks = [
+    ['file size', header.fileSize, buffer.length],
+    ['info header size', header.headerSize, INFO_HEADER_SIZE],
+    ['planes', header.planes, 1],
+    ['compression', header.compression, 0],
+    ['bits per pixel', header.bitsPerPixel, bitsPerPixel],
+    ['data offset', header.dataOffset, dataOffset],
+    ['image size', header.imageSize, imageSize],
+    ['pixel data length', buffer.length - header.dataOffset, imageSize]
+  ];
+
+  if (expected.width !== undefined) {
+    checks.push(['width', header.width, expected.width]);
+  }
+
+  if (expected.height !== undefined) {
+    checks.push(['height', header.height, expected.height]);
+  }
+
+  for (const [name, actual, wanted] of checks) {
+    if (actual !== wanted) {
+      problems.push(`Unexpected ${name}: ${actual} (expected ${wanted})`);
+    }
+  }
+
+  if (expected.palette) {
+    const actual = JSON.stringify(header.palette);
+    const wanted = JSON.stringify(expected.palette);
+    if (actual !== wanted) {
+      problems.push(`Unexpected palette: ${actual} (expected ${wanted})`);
+    }
+  }
+
+  const paletteStart = FILE_HEADER_SIZE + header.headerSize;
+  for (let i = 0; i < header.colorsUsed; i++) {
+    if (buffer[paletteStart + i * 4 + 3] !== 0) {
+      problems.push(`Palette entry ${i} has a non-zero reserved byte`);
+    }
+  }
+
+  if (problems.length === 0) {
+    const row = findDirtyPadding(buffer, header, rowSize);
+    if (row !== -1) {
+      problems.push(`Row ${row} has non-zero padding bits`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  MONOCHROME_PALETTE,
+  getRowSize,
+  encodeIndexed,
+  encodeMonochrome,
+  parseHeader,
+  decodeGrayscale,
+  verify
+};
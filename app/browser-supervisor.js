@@ -0,0 +1,206 @@
+/**
+ * Browser Supervisor
+ * Launches the Playwright browser, watches it and relaunches it with backoff after crashes
+ */
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+/**
+ * Raised for captures requested while no browser is running
+ */
+class BrowserUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BrowserUnavailableError';
+    this.code = 'BROWSER_UNAVAILABLE';
+  }
+}
+
+/**
+ * Raised for captures that were in flight when the browser crashed
+ */
+class BrowserCrashedError extends Error {
+  constructor(message = 'Browser crashed during capture') {
+    super(message);
+    this.name = 'BrowserCrashedError';
+    this.code = 'BROWSER_CRASHED';
+  }
+}
+
+class BrowserSupervisor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.log = logger.child('BrowserSupervisor');
+    this.launchBrowser = options.launch;
+    this.minRetryDelay = options.minRetryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.watchdogInterval = options.watchdogInterval || 30000;
+    this.watchdogTimeout = options.watchdogTimeout || 10000;
+
+    this.browser = null;
+    this.state = 'stopped';
+    this.lastError = null;
+    this.restarts = 0;
+    this.failures = 0;
+    this.nextRetryAt = null;
+    this.retryTimer = null;
+    this.watchdogTimer = null;
+    this.stopped = true;
+
+    // Aborted when the current browser goes away, failing every capture that uses it
+    this.crashController = new AbortController();
+  }
+
+  /**
+   * Launch the browser; on failure keep retrying in the background
+   * Resolves to whether the first attempt succeeded
+   */
+  async start() {
+    this.stopped = false;
+
+    this.watchdogTimer = setInterval(() => this.checkHealth(), this.watchdogInterval);
+    this.watchdogTimer.unref();
+
+    return this.launch();
+  }
+
+  async launch() {
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.state = 'starting';
+
+    let browser;
+    try {
+      browser = await this.launchBrowser();
+    } catch (error) {
+      this.failures++;
+      this.lastError = `Launch failed: ${error.message.split('\n')[0]}`;
+      this.log.error(this.lastError);
+      this.scheduleRetry();
+      return false;
+    }
+
+    if (this.stopped) {
+      await browser.close().catch(() => {});
+      return false;
+    }
+
+    browser.on('disconnected', () => this.handleDisconnect(browser, 'Browser disconnected'));
+
+    this.browser = browser;
+    this.crashController = new AbortController();
+    this.state = 'ready';
+    this.failures = 0;
+    this.lastError = null;
+
+    this.log.info('Browser ready');
+    this.emit('ready', browser);
+    return true;
+  }
+
+  /**
+   * Relaunch after a delay that doubles with each consecutive failure
+   */
+  scheduleRetry() {
+    if (this.stopped || this.retryTimer) {
+      return;
+    }
+
+    const delay = Math.min(this.maxRetryDelay, this.minRetryDelay * 2 ** Math.max(0, this.failures - 1));
+    this.state = 'restarting';
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+    this.log.info(`Relaunching browser in ${Math.round(delay / 1000)}s`);
+    this.retryTimer = setTimeout(() => this.launch(), delay);
+  }
+
+  handleDisconnect(browser, reason) {
+    if (this.stopped || browser !== this.browser) {
+      return;
+    }
+
+    this.log.error(reason);
+
+    this.browser = null;
+    this.restarts++;
+    this.failures++;
+    this.lastError = reason;
+    this.crashController.abort(new BrowserCrashedError(`${reason} during capture`));
+    this.emit('crash', reason);
+
+    this.scheduleRetry();
+  }
+
+  /**
+   * Watchdog: a browser that can't open a context in time is treated as crashed
+   */
+  async checkHealth() {
+    const browser = this.browser;
+    if (!browser || this.state !== 'ready') {
+      return;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no response within ${this.watchdogTimeout}ms`)), this.watchdogTimeout);
+    });
+
+    try {
+      const probe = browser.newContext().then(context => context.close());
+      await Promise.race([probe, timeout]);
+    } catch (error) {
+      this.handleDisconnect(browser, `Browser unresponsive: ${error.message}`);
+      browser.close().catch(() => {});
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Signal that aborts when the current browser crashes
+   */
+  get signal() {
+    return this.crashController.signal;
+  }
+
+  isReady() {
+    return this.state === 'ready' && this.browser !== null;
+  }
+
+  /**
+   * Error describing why captures can't run right now
+   */
+  unavailableError() {
+    const reason = this.lastError || `browser is ${this.state}`;
+    return new BrowserUnavailableError(`Browser not available: ${reason}`);
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      ready: this.isReady(),
+      restarts: this.restarts,
+      lastError: this.lastError,
+      nextRetry: this.nextRetryAt
+    };
+  }
+
+  async stop() {
+    this.stopped = true;
+    this.state = 'stopped';
+    clearTimeout(this.retryTimer);
+    clearInterval(this.watchdogTimer);
+    this.retryTimer = null;
+
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = BrowserSupervisor;
+module.exports.BrowserUnavailableError = BrowserUnavailableError;
+module.exports.BrowserCrashedError = BrowserCrashedError;
@@ -0,0 +1,198 @@
+/**
+ * Cron Expression
+ * Minimal five-field cron parser (minute hour day-of-month month day-of-week)
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Upper bound for the search in next(); four years covers Feb 29 schedules
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+class CronExpression {
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+
+    this.expression = expression.trim();
+    const source = ALIASES[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields: ${this.expression}`);
+    }
+
+    this.fields = {};
+    FIELDS.forEach((field, i) => {
+      this.fields[field.name] = parseField(parts[i], field);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.add(0);
+      this.fields.dayOfWeek.delete(7);
+    }
+
+    // Standard cron semantics: when both day fields are restricted, either may match.
+    // Like Vixie cron, a field starting with "*" (including "*/2") counts as unrestricted.
+    this.dayOfMonthAny = /^[*?]/.test(parts[2]);
+    this.dayOfWeekAny = /^[*?]/.test(parts[4]);
+  }
+
+  /**
+   * Check whether a date (local time, minute resolution) matches the expression
+   */
+  matches(date) {
+    const { minute, hour, month } = this.fields;
+
+    return minute.has(date.getMinutes()) &&
+      hour.has(date.getHours()) &&
+      month.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  /**
+   * Get the first matching time strictly after the given date
+   */
+  next(from = new Date()) {
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+      if (!this.fields.month.has(candidate.getMonth() + 1)) {
+        candidate.setMonth(candidate.getMonth() + 1, 1);
+        candidate.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.matchesDay(candidate)) {
+        candidate.setDate(candidate.getDate() + 1);
+        candidate.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.fields.hour.has(candidate.getHours())) {
+        candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.fields.minute.has(candidate.getMinutes())) {
+        candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the day-of-month and day-of-week fields for a date
+   */
+  matchesDay(date) {
+    const domMatch = this.fields.dayOfMonth.has(date.getDate());
+    const dowMatch = this.fields.dayOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthAny || this.dayOfWeekAny) {
+      return domMatch && dowMatch;
+    }
+
+    return domMatch || dowMatch;
+  }
+
+  toString() {
+    return this.expression;
+  }
+
+  /**
+   * Validate an expression without throwing
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+
+  if (field.names) {
+    const index = field.names.indexOf(lower);
+    if (index !== -1) {
+      return field.name === 'month' ? index + 1 : index;
+    }
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value out of range (${field.min}-${field.max}): ${value}`);
+  }
+
+  return number;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : parseInt(stepSource, 10);
+
+    if (!Number.isInteger(step) || step < 1 || (stepSource !== undefined && !/^\d+$/.test(stepSource))) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*' || range === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [low, high] = range.split('-');
+      start = parseValue(low, field);
+      end = parseValue(high, field);
+    } else {
+      start = parseValue(range, field);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+module.exports = CronExpression;
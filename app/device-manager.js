@@ -0,0 +1,281 @@
+/**
+ * Device Manager
+ * Manages TRMNL devices registered through the BYOS (bring your own server) protocol
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const MAX_LOGS_PER_DEVICE = 100;
+
+class DeviceManager {
+  constructor(dataPath = '/data') {
+    this.log = logger.child('DeviceManager');
+    this.dataPath = dataPath;
+    this.devicesPath = path.join(dataPath, 'devices.json');
+    this.devices = {};
+
+    // Device logs are kept in memory only
+    this.logs = {};
+
+    this.loadDevices();
+  }
+
+  loadDevices() {
+    try {
+      if (fs.existsSync(this.devicesPath)) {
+        const data = fs.readFileSync(this.devicesPath, 'utf8');
+        this.devices = JSON.parse(data);
+        this.log.info(`Loaded ${Object.keys(this.devices).length} devices`);
+      } else {
+        this.devices = {};
+        this.saveDevices();
+      }
+    } catch (error) {
+      this.log.error('Failed to load devices:', error.message);
+      this.devices = {};
+    }
+  }
+
+  saveDevices() {
+    try {
+      fs.writeFileSync(this.devicesPath, JSON.stringify(this.devices, null, 2), 'utf8');
+    } catch (error) {
+      this.log.error('Failed to save devices:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a MAC address to upper-case colon-separated form
+   * Returns null when the value is not a MAC address
+   */
+  static normalizeMac(mac) {
+    if (typeof mac !== 'string') {
+      return null;
+    }
+
+    const hex = mac.replace(/[^0-9a-f]/gi, '').toUpperCase();
+    if (hex.length !== 12) {
+      return null;
+    }
+
+    return hex.match(/.{2}/g).join(':');
+  }
+
+  /**
+   * Register a device by MAC address, or return the existing registration
+   * Pass `approved: false` to make a new device wait until it is approved
+   */
+  registerDevice(mac, info = {}) {
+    const macAddress = DeviceManager.normalizeMac(mac);
+    if (!macAddress) {
+      throw new Error(`Invalid MAC address: ${mac}`);
+    }
+
+    const existing = this.getDeviceByMac(macAddress);
+    if (existing) {
+      return existing;
+    }
+
+    const id = macAddress.replace(/:/g, '').toLowerCase();
+    const friendlyId = crypto.randomBytes(3).toString('hex').toUpperCase();
+
+    const device = {
+      id,
+      macAddress,
+      friendlyId,
+      apiKey: crypto.randomBytes(16).toString('hex'),
+      name: info.name || `TRMNL ${friendlyId}`,
+      profileId: info.profileId || null,
+      refreshRate: info.refreshRate || 0,
+      approved: info.approved !== false,
+      firmwareVersion: info.firmwareVersion || null,
+      created: new Date().toISOString(),
+      lastSeen: null,
+      lastFilename: null,
+      batteryVoltage: null,
+      rssi: null
+    };
+
+    this.devices[id] = device;
+    this.saveDevices();
+
+    this.log.info(`Registered device ${macAddress} (${friendlyId})`);
+    return device;
+  }
+
+  /**
+   * Update a device
+   */
+  updateDevice(id, updates = {}) {
+    if (!this.devices[id]) {
+      throw new Error(`Device not found: ${id}`);
+    }
+
+    const device = this.devices[id];
+
+    // Only allow updating specific fields
+    const allowedFields = ['name', 'profileId', 'refreshRate', 'approved'];
+
+    for (const field of allowedFields) {
+      if (field in updates) {
+        device[field] = updates[field];
+      }
+    }
+
+    device.modified = new Date().toISOString();
+
+    this.saveDevices();
+    return device;
+  }
+
+  /**
+   * Delete a device
+   */
+  deleteDevice(id) {
+    if (!this.devices[id]) {
+      return false;
+    }
+
+    delete this.devices[id];
+    delete this.logs[id];
+    this.saveDevices();
+    return true;
+  }
+
+  /**
+   * Get all devices
+   */
+  getAllDevices() {
+    return Object.values(this.devices);
+  }
+
+  /**
+   * Get a specific device
+   */
+  getDevice(id) {
+    return this.devices[id] || null;
+  }
+
+  getDeviceByMac(mac) {
+    const macAddress = DeviceManager.normalizeMac(mac);
+    if (!macAddress) {
+      return null;
+    }
+
+    return Object.values(this.devices).find(d => d.macAddress === macAddress) || null;
+  }
+
+  /**
+   * Devices registered before approvals existed have no `approved` field and count as approved
+   */
+  isApproved(device) {
+    return device.approved !== false;
+  }
+
+  getDeviceByApiKey(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    return Object.values(this.devices).find(d => d.apiKey === apiKey) || null;
+  }
+
+  /**
+   * Record telemetry reported in device request headers
+   */
+  recordCheckIn(id, telemetry = {}) {
+    const device = this.devices[id];
+    if (!device) {
+      return;
+    }
+
+    device.lastSeen = new Date().toISOString();
+
+    for (const field of ['firmwareVersion', 'batteryVoltage', 'rssi']) {
+      if (telemetry[field] !== undefined && telemetry[field] !== null) {
+        device[field] = telemetry[field];
+      }
+    }
+
+    this.saveDevices();
+  }
+
+  /**
+   * Remember which image a device was last sent
+   */
+  recordDisplay(id, filename) {
+    const device = this.devices[id];
+    if (!device || device.lastFilename === filename) {
+      return;
+    }
+
+    device.lastFilename = filename;
+    device.lastDisplayChange = new Date().toISOString();
+    this.saveDevices();
+  }
+
+  /**
+   * Store log entries submitted by a device
+   */
+  addLogs(id, entries = []) {
+    if (!this.devices[id]) {
+      return 0;
+    }
+
+    const logs = this.logs[id] || (this.logs[id] = []);
+    const received = new Date().toISOString();
+
+    for (const entry of entries) {
+      logs.push({ received, entry });
+    }
+
+    if (logs.length > MAX_LOGS_PER_DEVICE) {
+      logs.splice(0, logs.length - MAX_LOGS_PER_DEVICE);
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Get recent log entries for a device, newest first
+   */
+  getLogs(id, limit = MAX_LOGS_PER_DEVICE) {
+    return (this.logs[id] || []).slice(-limit).reverse();
+  }
+
+  /**
+   * Validate device updates
+   */
+  validateDevice(config, profileManager) {
+    const errors = [];
+
+    if ('name' in config && (typeof config.name !== 'string' || !config.name)) {
+      errors.push('Name must be a non-empty string');
+    }
+
+    if ('profileId' in config && config.profileId !== null) {
+      if (typeof config.profileId !== 'string' || !profileManager.getProfile(config.profileId)) {
+        errors.push('Profile ID must reference an existing profile or be null');
+      }
+    }
+
+    if ('refreshRate' in config && (typeof config.refreshRate !== 'number' || config.refreshRate < 0)) {
+      errors.push('Refresh rate must be a non-negative number');
+    }
+
+    if ('approved' in config && typeof config.approved !== 'boolean') {
+      errors.push('Approved must be true or false');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = DeviceManager;
@@ -0,0 +1,158 @@
+/**
+ * Dithering
+ * Reduces 8-bit grayscale pixel buffers to a small number of levels for e-ink displays
+ */
+
+// Error diffusion kernels as [dx, dy, weight] with a shared divisor
+const KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  // Atkinson only diffuses 6/8 of the error, which keeps highlights and shadows clean
+  atkinson: {
+    divisor: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  },
+  stucki: {
+    divisor: 42,
+    taps: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+    ]
+  }
+};
+
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+const BAYER_8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+const ALGORITHMS = ['floyd-steinberg', 'atkinson', 'stucki', 'bayer-4x4', 'bayer-8x8', 'threshold'];
+
+const DEFAULT_ALGORITHM = 'floyd-steinberg';
+
+/**
+ * Round a value to the nearest of `levels` evenly spaced gray levels
+ */
+function quantize(value, levels) {
+  const step = 255 / (levels - 1);
+  const level = Math.round(Math.min(255, Math.max(0, value)) / step);
+  return Math.round(level * step);
+}
+
+/**
+ * Plain threshold (levels = 2) or nearest-level quantization without dithering
+ */
+function threshold(pixels, width, height, levels = 2) {
+  const output = Buffer.alloc(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    output[i] = quantize(pixels[i], levels);
+  }
+  return output;
+}
+
+/**
+ * Error diffusion dithering with one of the kernels above
+ */
+function errorDiffusion(pixels, width, height, levels, kernel) {
+  const work = Float32Array.from(pixels);
+  const output = Buffer.alloc(pixels.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const value = quantize(work[i], levels);
+      const error = work[i] - value;
+      output[i] = value;
+
+      if (error === 0) {
+        continue;
+      }
+
+      for (const [dx, dy, weight] of kernel.taps) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          work[ny * width + nx] += (error * weight) / kernel.divisor;
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Ordered dithering with a Bayer threshold matrix
+ */
+function ordered(pixels, width, height, levels, matrix) {
+  const size = matrix.length;
+  const cells = size * size;
+  const step = 255 / (levels - 1);
+  const output = Buffer.alloc(pixels.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = matrix[y % size];
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      // Offset each pixel by up to half a level in either direction
+      const bias = ((row[x % size] + 0.5) / cells - 0.5) * step;
+      output[i] = quantize(pixels[i] + bias, levels);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Dither an 8-bit grayscale buffer (one byte per pixel, top-down rows)
+ * Returns a new buffer whose values are limited to `levels` evenly spaced grays
+ */
+function dither(pixels, width, height, options = {}) {
+  const algorithm = options.algorithm || DEFAULT_ALGORITHM;
+  const levels = options.levels || 2;
+
+  if (pixels.length !== width * height) {
+    throw new Error(`Expected ${width * height} pixels, got ${pixels.length}`);
+  }
+
+  if (!Number.isInteger(levels) || levels < 2 || levels > 256) {
+    throw new Error(`Invalid number of levels: ${levels}`);
+  }
+
+  switch (algorithm) {
+    case 'floyd-steinberg':
+    case 'atkinson':
+    case 'stucki':
+      return errorDiffusion(pixels, width, height, levels, KERNELS[algorithm]);
+    case 'bayer-4x4':
+      return ordered(pixels, width, height, levels, BAYER_4);
+    case 'bayer-8x8':
+      return ordered(pixels, width, height, levels, BAYER_8);
+    case 'threshold':
+      return threshold(pixels, width, height, levels);
+    default:
+      throw new Error(`Unknown dithering algorithm: ${algorithm}`);
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  dither
+};
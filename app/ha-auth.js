@@ -0,0 +1,169 @@
+/**
+ * Home Assistant Authentication
+ * Seeds browser contexts with the `hassTokens` the HA frontend reads from localStorage
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+// Long-lived tokens never expire; tell the frontend so it never tries to refresh them
+const LONG_LIVED_EXPIRY_MS = 10 * 365 * 24 * 60 * 60 * 1000;
+
+// Refresh access tokens this long before they actually expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Raised when Home Assistant rejects our credentials or shows its login page
+ */
+class HomeAssistantAuthError extends Error {
+  constructor(message) {
+    this.log = logger.child('HomeAssistantAuth');
+    super(message);
+    this.name = 'HomeAssistantAuthError';
+    this.code = 'HA_AUTH_FAILED';
+  }
+}
+
+class HomeAssistantAuth {
+  constructor(options = {}) {
+    this.haUrl = (options.haUrl || 'http://homeassistant.local:8123').replace(/\/$/, '');
+    this.origin = new URL(this.haUrl).origin;
+    this.accessToken = options.accessToken || '';
+    this.refreshToken = options.refreshToken || '';
+    this.clientId = options.clientId || `${this.origin}/`;
+    this.timeout = options.timeout || 10000;
+
+    // Cached result of the refresh-token flow
+    this.cachedTokens = null;
+  }
+
+  /**
+   * Whether any credentials are configured
+   */
+  isConfigured() {
+    return Boolean(this.refreshToken || this.accessToken);
+  }
+
+  /**
+   * Whether a URL belongs to the configured Home Assistant instance
+   */
+  isHomeAssistantUrl(url) {
+    try {
+      return new URL(url).origin === this.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the object the HA frontend expects in localStorage.hassTokens
+   */
+  async getTokens() {
+    if (this.refreshToken) {
+      return this.refreshAccessToken();
+    }
+
+    if (this.accessToken) {
+      return {
+        hassUrl: this.origin,
+        clientId: this.clientId,
+        access_token: this.accessToken,
+        token_type: 'Bearer',
+        refresh_token: '',
+        expires_in: LONG_LIVED_EXPIRY_MS / 1000,
+        expires: Date.now() + LONG_LIVED_EXPIRY_MS
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Exchange the refresh token for an access token, reusing it until shortly before expiry
+   */
+  async refreshAccessToken() {
+    if (this.cachedTokens && this.cachedTokens.expires - REFRESH_MARGIN_MS > Date.now()) {
+      return this.cachedTokens;
+    }
+
+    const body = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken,
+      client_id: this.clientId
+    });
+
+    let response;
+    try {
+      response = await axios.post(`${this.origin}/auth/token`, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      if (error.response && [400, 401, 403].includes(error.response.status)) {
+        throw new HomeAssistantAuthError(`Home Assistant rejected the refresh token (HTTP ${error.response.status})`);
+      }
+      throw error;
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn, token_type: tokenType } = response.data;
+    if (!accessToken) {
+      throw new HomeAssistantAuthError('Home Assistant token endpoint returned no access token');
+    }
+
+    this.cachedTokens = {
+      hassUrl: this.origin,
+      clientId: this.clientId,
+      access_token: accessToken,
+      token_type: tokenType || 'Bearer',
+      refresh_token: this.refreshToken,
+      expires_in: expiresIn,
+      expires: Date.now() + expiresIn * 1000
+    };
+
+    this.log.info(`Obtained access token (expires in ${expiresIn}s)`);
+    return this.cachedTokens;
+  }
+
+  /**
+   * Register an init script that writes hassTokens into localStorage before any
+   * HA page script runs. The script only acts on the configured HA origin.
+   */
+  async seedContext(context) {
+    const tokens = await this.getTokens();
+    if (!tokens) {
+      return false;
+    }
+
+    await context.addInitScript(({ origin, hassTokens }) => {
+      if (window.location.origin === origin) {
+        window.localStorage.setItem('hassTokens', hassTokens);
+      }
+    }, { origin: this.origin, hassTokens: JSON.stringify(tokens) });
+
+    return true;
+  }
+
+  /**
+   * Throw a HomeAssistantAuthError when the page shows the HA login form
+   * instead of the requested dashboard
+   */
+  async assertAuthenticated(page) {
+    const currentUrl = page.url();
+    if (!this.isHomeAssistantUrl(currentUrl)) {
+      return;
+    }
+
+    const onAuthorizePath = new URL(currentUrl).pathname.startsWith('/auth/authorize');
+    const hasLoginForm = await page.evaluate(() => Boolean(document.querySelector('ha-authorize'))).catch(() => false);
+
+    if (onAuthorizePath || hasLoginForm) {
+      const reason = this.isConfigured()
+        ? 'the configured token was not accepted'
+        : 'no Home Assistant token is configured';
+      throw new HomeAssistantAuthError(`Home Assistant login page was rendered instead of the dashboard: ${reason}`);
+    }
+  }
+}
+
+module.exports = HomeAssistantAuth;
+module.exports.HomeAssistantAuthError = HomeAssistantAuthError;
@@ -0,0 +1,256 @@
+/**
+ * Home Assistant Entities
+ * Publishes each profile's capture status into Home Assistant through its REST API
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Home Assistant rejects states longer than this
+const MAX_STATE_LENGTH = 255;
+
+// States set through the REST API are lost when Home Assistant restarts
+const REPUBLISH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Object id shared by all entities of a profile, e.g. "trmnl_kitchen_dashboard"
+ * Built from the profile id, which is unique and survives renames. Ids that aren't
+ * valid object ids as they are (e.g. "Kitchen-Dashboard") get a hash suffix so they can't collide.
+ */
+function objectId(profile) {
+  const slug = String(profile.id).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  if (slug === profile.id) {
+    return `trmnl_${slug}`;
+  }
+
+  const hash = crypto.createHash('sha1').update(String(profile.id)).digest('hex').substring(0, 6);
+  return `trmnl_${slug}_${hash}`;
+}
+
+class HomeAssistantEntities {
+  constructor(options = {}) {
+    this.log = logger.child('HomeAssistantEntities');
+    this.enabled = options.enabled !== false && Boolean(options.apiUrl && options.token);
+    this.apiUrl = (options.apiUrl || '').replace(/\/$/, '');
+    this.token = options.token || '';
+    // Base URL the HA frontend loads images from; without one, image entities have no picture
+    this.publicUrl = (options.publicUrl || '').replace(/\/$/, '');
+    this.imageToken = options.imageToken;
+    this.timeout = options.timeout || 10000;
+    this.profileManager = options.profileManager;
+    this.screenshotIndex = options.screenshotIndex;
+
+    // Entity ids published per profile, so deleted profiles are cleaned up
+    this.published = new Map();
+    this.republishTimer = null;
+    this.lastError = null;
+    this.lastPublished = null;
+
+    this.onChange = profile => this.publishProfile(profile);
+    this.onDelete = profile => this.removeProfile(profile.id);
+  }
+
+  /**
+   * Publish every profile and follow later new profiles, captures and edits
+   */
+  start() {
+    if (!this.enabled) {
+      this.log.info('Disabled (no Home Assistant API access)');
+      return;
+    }
+
+    if (!this.publicUrl) {
+      this.log.warn('No public URL configured (public_url or PUBLIC_URL); image entities will have no picture');
+    }
+
+    this.profileManager.on('create', this.onChange);
+    this.profileManager.on('capture', this.onChange);
+    this.profileManager.on('update', this.onChange);
+    this.profileManager.on('delete', this.onDelete);
+
+    this.publishAll();
+
+    // Also restores the entities after Home Assistant restarts
+    this.republishTimer = setInterval(() => this.publishAll(), REPUBLISH_INTERVAL);
+    this.republishTimer.unref();
+  }
+
+  publishAll() {
+    for (const profile of this.profileManager.getAllProfiles()) {
+      this.publishProfile(profile);
+    }
+  }
+
+  stop() {
+    clearInterval(this.republishTimer);
+    this.republishTimer = null;
+    this.profileManager.off('create', this.onChange);
+    this.profileManager.off('capture', this.onChange);
+    this.profileManager.off('update', this.onChange);
+    this.profileManager.off('delete', this.onDelete);
+  }
+
+  /**
+   * URL of a profile's image for the HA frontend, or null without a public URL
+   * The token in it opens this image only, so it works while API keys are enforced
+   */
+  getImageUrl(profile) {
+    if (!this.publicUrl) {
+      return null;
+    }
+
+    const url = `${this.publicUrl}/api/profiles/${encodeURIComponent(profile.id)}/image`;
+    return this.imageToken ? `${url}?token=${this.imageToken(profile.id)}` : url;
+  }
+
+  /**
+   * The entity states describing one profile, keyed by entity id
+   */
+  buildStates(profile) {
+    const id = objectId(profile);
+    const common = { profile_id: profile.id, attribution: 'TRMNL Screenshot' };
+    const entry = profile.lastScreenshot && this.screenshotIndex ? this.screenshotIndex.get(profile.lastScreenshot) : null;
+    const imageUrl = this.getImageUrl(profile);
+
+    return {
+      [`sensor.${id}_last_success`]: {
+        state: profile.lastSuccess || 'unknown',
+        attributes: {
+          ...common,
+          friendly_name: `${profile.name} last capture`,
+          device_class: 'timestamp',
+          icon: 'mdi:camera-timer',
+          last_run: profile.lastRun || null
+        }
+      },
+      [`sensor.${id}_failures`]: {
+        state: String(profile.failureCount || 0),
+        attributes: {
+          ...common,
+          friendly_name: `${profile.name} capture failures`,
+          state_class: 'measurement',
+          icon: 'mdi:alert-circle-outline'
+        }
+      },
+      [`sensor.${id}_last_error`]: {
+        state: profile.lastError ? String(profile.lastError).substring(0, MAX_STATE_LENGTH) : 'none',
+        attributes: {
+          ...common,
+          friendly_name: `${profile.name} last error`,
+          icon: 'mdi:message-alert-outline'
+        }
+      },
+      [`sensor.${id}_image_size`]: {
+        state: entry ? String(entry.size) : 'unknown',
+        attributes: {
+          ...common,
+          friendly_name: `${profile.name} image size`,
+          device_class: 'data_size',
+          unit_of_measurement: 'B',
+          icon: 'mdi:file-image'
+        }
+      },
+      [`binary_sensor.${id}_changed`]: {
+        state: profile.lastCaptureChanged === false ? 'off' : 'on',
+        attributes: {
+          ...common,
+          friendly_name: `${profile.name} image changed`,
+          icon: 'mdi:image-sync',
+          last_changed_at: profile.lastChanged || null
+        }
+      },
+      [`image.${id}`]: {
+        state: profile.lastSuccess || 'unknown',
+        attributes: {
+          ...common,
+          friendly_name: profile.name,
+          // The filename busts the frontend's image cache whenever the picture changes
+          entity_picture: imageUrl && profile.lastScreenshot ? `${imageUrl}${imageUrl.includes('?') ? '&' : '?'}v=${encodeURIComponent(profile.lastScreenshot)}` : null,
+          url: imageUrl,
+          width: profile.width,
+          height: profile.height
+        }
+      }
+    };
+  }
+
+  /**
+   * Push a profile's current status; failures are logged, never thrown
+   */
+  async publishProfile(profile) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const states = this.buildStates(profile);
+    this.published.set(profile.id, Object.keys(states));
+
+    try {
+      for (const [entityId, body] of Object.entries(states)) {
+        await this.request('post', entityId, body);
+      }
+
+      this.lastPublished = new Date().toISOString();
+      this.lastError = null;
+    } catch (error) {
+      this.handleError(error, profile.id);
+    }
+  }
+
+  /**
+   * Remove the entities of a deleted profile
+   */
+  async removeProfile(profileId) {
+    const entityIds = this.published.get(profileId) || [];
+    this.published.delete(profileId);
+
+    try {
+      for (const entityId of entityIds) {
+        await this.request('delete', entityId);
+      }
+    } catch (error) {
+      this.handleError(error, profileId);
+    }
+  }
+
+  async request(method, entityId, body) {
+    try {
+      await axios({
+        method,
+        url: `${this.apiUrl}/states/${entityId}`,
+        data: body,
+        headers: { Authorization: `Bearer ${this.token}` },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      // Deleting an entity HA no longer knows about is fine
+      if (method === 'delete' && error.response && error.response.status === 404) {
+        return;
+      }
+      throw error;
+    }
+  }
+
+  handleError(error, profileId) {
+    const message = error.response ? `HTTP ${error.response.status} from Home Assistant` : error.message;
+
+    // Only log when the problem changes, not on every capture
+    if (message !== this.lastError) {
+      this.log.with({ profile: profileId }).warn(`Failed to publish entities: ${message}`);
+    }
+    this.lastError = message;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      profiles: this.published.size,
+      lastPublished: this.lastPublished,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = HomeAssistantEntities;
+module.exports.objectId = objectId;
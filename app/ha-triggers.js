@@ -0,0 +1,391 @@
+/**
+ * Home Assistant Triggers
+ * Re-captures profiles when entities they show change, via the HA websocket API
+ */
+
+const WebSocket = require('ws');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  debounce: 5,
+  minInterval: 60
+};
+
+const ENTITY_PATTERN = /^[a-z0-9_*]+\.[a-z0-9_*]+$/;
+
+const MIN_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Whether an entity id matches a trigger entry; `*` matches any characters
+ */
+function matchesEntity(entityId, pattern) {
+  if (!pattern.includes('*')) {
+    return entityId === pattern;
+  }
+
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.]/g, '\\.')).join('.*')}$`);
+  return regex.test(entityId);
+}
+
+/**
+ * Validate a profile's `triggers` setting
+ */
+function validate(triggers) {
+  const errors = [];
+
+  if (triggers === undefined || triggers === null) {
+    return errors;
+  }
+
+  if (typeof triggers !== 'object' || Array.isArray(triggers)) {
+    return ['Triggers must be an object'];
+  }
+
+  for (const field of Object.keys(triggers)) {
+    if (!['entities', 'template', 'debounce', 'minInterval'].includes(field)) {
+      errors.push(`Unknown trigger setting: ${field}`);
+    }
+  }
+
+  const { entities, template } = triggers;
+
+  if (entities !== undefined && (!Array.isArray(entities) || !entities.every(e => typeof e === 'string' && ENTITY_PATTERN.test(e)))) {
+    errors.push('Trigger entities must be a list of entity ids such as "sensor.outdoor_temperature" or "light.*"');
+  }
+
+  if (template !== undefined && (typeof template !== 'string' || !template.trim())) {
+    errors.push('Trigger template must be a non-empty string');
+  }
+
+  if (!(entities && entities.length) && !template) {
+    errors.push('Triggers need at least one entity or a template');
+  }
+
+  for (const field of ['debounce', 'minInterval']) {
+    const value = triggers[field];
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+      errors.push(`Trigger ${field} must be a non-negative number of seconds`);
+    }
+  }
+
+  return errors;
+}
+
+class HomeAssistantTriggers {
+  constructor(options = {}) {
+    this.log = logger.child('HomeAssistantTriggers');
+    this.wsUrl = options.wsUrl;
+    this.token = options.token || '';
+    this.auth = options.auth;
+    this.profileManager = options.profileManager;
+    this.captureProfile = options.captureProfile;
+
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.retryDelay = MIN_RETRY_DELAY;
+    this.retryTimer = null;
+    this.lastError = null;
+
+    this.nextId = 1;
+    this.eventsSubscription = null;
+    // Template subscriptions: message id -> { profileId, template, result }
+    this.templates = new Map();
+
+    // Debounce state per profile: { timer, pendingSince, lastFired }
+    this.pending = new Map();
+    this.fired = 0;
+    this.lastFired = null;
+
+    this.onChange = () => this.sync();
+  }
+
+  /**
+   * Profiles that have triggers configured
+   */
+  getTriggeredProfiles() {
+    return this.profileManager.getAllProfiles(true).filter(profile => profile.triggers);
+  }
+
+  start() {
+    this.stopped = false;
+
+    for (const event of ['create', 'update', 'delete']) {
+      this.profileManager.on(event, this.onChange);
+    }
+
+    this.sync();
+  }
+
+  stop() {
+    this.stopped = true;
+
+    for (const event of ['create', 'update', 'delete']) {
+      this.profileManager.off(event, this.onChange);
+    }
+
+    for (const state of this.pending.values()) {
+      clearTimeout(state.timer);
+    }
+    this.pending.clear();
+    this.disconnect();
+  }
+
+  /**
+   * Connect, disconnect or update subscriptions to match the current profiles
+   */
+  sync() {
+    if (this.stopped) {
+      return;
+    }
+
+    const profiles = this.getTriggeredProfiles();
+
+    if (profiles.length === 0) {
+      this.disconnect();
+      return;
+    }
+
+    if (!this.socket) {
+      this.connect();
+      return;
+    }
+
+    if (this.connected) {
+      this.subscribe(profiles);
+    }
+  }
+
+  connect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (!this.wsUrl) {
+      this.lastError = 'No Home Assistant websocket URL configured';
+      return;
+    }
+
+    const socket = new WebSocket(this.wsUrl);
+    this.socket = socket;
+
+    socket.on('message', data => {
+      Promise.resolve().then(() => this.handleMessage(JSON.parse(data))).catch(error => {
+        this.log.error('Failed to handle message:', error.message);
+      });
+    });
+
+    socket.on('error', error => this.setError(error.message));
+
+    socket.on('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+
+      this.socket = null;
+      this.connected = false;
+      this.eventsSubscription = null;
+      this.templates.clear();
+
+      if (!this.stopped && this.getTriggeredProfiles().length > 0) {
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryTimer.unref();
+        this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    });
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      this.connected = false;
+      this.eventsSubscription = null;
+      this.templates.clear();
+      socket.close();
+    }
+  }
+
+  send(message) {
+    const id = this.nextId++;
+    this.socket.send(JSON.stringify({ id, ...message }));
+    return id;
+  }
+
+  async handleMessage(message) {
+    switch (message.type) {
+      case 'auth_required': {
+        const token = this.token || await this.getAuthToken();
+        if (!this.socket) {
+          break;
+        }
+        this.socket.send(JSON.stringify({ type: 'auth', access_token: token }));
+        break;
+      }
+
+      case 'auth_ok':
+        this.connected = true;
+        this.retryDelay = MIN_RETRY_DELAY;
+        this.lastError = null;
+        this.log.info('Connected to the Home Assistant websocket API');
+        this.subscribe(this.getTriggeredProfiles());
+        break;
+
+      case 'auth_invalid':
+        this.setError(`Home Assistant rejected the token: ${message.message}`);
+        this.socket.close();
+        break;
+
+      case 'result':
+        if (!message.success) {
+          const template = this.templates.get(message.id);
+          this.setError(`Subscription failed${template ? ` for template of profile ${template.profileId}` : ''}: ${message.error && message.error.message}`);
+        }
+        break;
+
+      case 'event':
+        this.handleEvent(message);
+        break;
+    }
+  }
+
+  async getAuthToken() {
+    const tokens = this.auth ? await this.auth.getTokens() : null;
+    return tokens ? tokens.access_token : '';
+  }
+
+  /**
+   * Subscribe to state changes and to each profile's template
+   */
+  subscribe(profiles) {
+    const watchesEntities = profiles.some(profile => (profile.triggers.entities || []).length > 0);
+
+    if (!this.eventsSubscription && watchesEntities) {
+      this.eventsSubscription = this.send({ type: 'subscribe_events', event_type: 'state_changed' });
+    } else if (this.eventsSubscription && !watchesEntities) {
+      // Every state change in HA would still be sent to us for nothing
+      this.send({ type: 'unsubscribe_events', subscription: this.eventsSubscription });
+      this.eventsSubscription = null;
+    }
+
+    // Drop template subscriptions whose profile or template changed
+    for (const [id, subscription] of this.templates) {
+      const profile = profiles.find(p => p.id === subscription.profileId);
+      if (!profile || profile.triggers.template !== subscription.template) {
+        this.send({ type: 'unsubscribe_events', subscription: id });
+        this.templates.delete(id);
+      }
+    }
+
+    for (const profile of profiles) {
+      const { template } = profile.triggers;
+      const subscribed = [...this.templates.values()].some(s => s.profileId === profile.id);
+      if (template && !subscribed) {
+        const id = this.send({ type: 'render_template', template });
+        this.templates.set(id, { profileId: profile.id, template, result: undefined });
+      }
+    }
+  }
+
+  handleEvent(message) {
+    if (message.id === this.eventsSubscription) {
+      const entityId = message.event.data && message.event.data.entity_id;
+      for (const profile of this.getTriggeredProfiles()) {
+        if ((profile.triggers.entities || []).some(pattern => matchesEntity(entityId, pattern))) {
+          this.trigger(profile, entityId);
+        }
+      }
+      return;
+    }
+
+    const subscription = this.templates.get(message.id);
+    if (!subscription) {
+      return;
+    }
+
+    // The first render only reports the current value
+    const result = JSON.stringify(message.event.result);
+    const changed = subscription.result !== undefined && subscription.result !== result;
+    subscription.result = result;
+
+    const profile = this.profileManager.getProfile(subscription.profileId);
+    if (changed && profile) {
+      this.trigger(profile, 'template');
+    }
+  }
+
+  /**
+   * Schedule a capture once changes settle for `debounce` seconds, but no sooner than
+   * `minInterval` after the previous triggered capture and no later than `minInterval`
+   * after the first pending change, so a chatty entity can neither flood nor starve it
+   */
+  trigger(profile, source) {
+    const debounce = (profile.triggers.debounce ?? DEFAULTS.debounce) * 1000;
+    const minInterval = (profile.triggers.minInterval ?? DEFAULTS.minInterval) * 1000;
+    const now = Date.now();
+
+    const state = this.pending.get(profile.id) || { timer: null, pendingSince: null, lastFired: 0 };
+    this.pending.set(profile.id, state);
+
+    if (state.pendingSince === null) {
+      state.pendingSince = now;
+      this.log.with({ profile: profile.id }).debug(`${profile.name} triggered by ${source}`);
+    }
+
+    const earliest = state.lastFired + minInterval;
+    const latest = Math.max(state.pendingSince + minInterval, earliest);
+    const due = Math.min(Math.max(now + debounce, earliest), latest);
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.fire(profile.id), Math.max(due - now, 0));
+    state.timer.unref();
+  }
+
+  fire(profileId) {
+    const state = this.pending.get(profileId);
+    state.timer = null;
+    state.pendingSince = null;
+    state.lastFired = Date.now();
+
+    const profile = this.profileManager.getProfile(profileId);
+    if (!profile || !profile.enabled || !profile.triggers) {
+      return;
+    }
+
+    try {
+      const job = this.captureProfile(profile);
+      this.fired++;
+      this.lastFired = new Date(state.lastFired).toISOString();
+      this.log.with({ profile: profile.id, job: job && job.id }).info(`Capturing ${profile.name} after a state change`);
+    } catch (error) {
+      this.log.with({ profile: profile.id }).error(`Failed to queue capture of ${profile.name}:`, error.message);
+    }
+  }
+
+  setError(message) {
+    // Only log when the problem changes; the connection keeps retrying
+    if (message !== this.lastError) {
+      this.log.warn(message);
+    }
+    this.lastError = message;
+  }
+
+  getStatus() {
+    return {
+      profiles: this.getTriggeredProfiles().length,
+      connected: this.connected,
+      templates: this.templates.size,
+      captures: this.fired,
+      lastCapture: this.lastFired,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = HomeAssistantTriggers;
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.matchesEntity = matchesEntity;
+module.exports.validate = validate;
@@ -0,0 +1,103 @@
+/**
+ * Image Hashing
+ * Content and perceptual hashes plus pixel comparison used for change detection
+ */
+
+const sharp = require('sharp');
+const crypto = require('crypto');
+const bmpEncoder = require('./bmp-encoder');
+
+// Luminance difference below which two pixels count as equal (absorbs JPEG noise)
+const PIXEL_TOLERANCE = 8;
+
+/**
+ * SHA-256 of the exact file bytes
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Decode PNG, JPEG or BMP to one 8-bit luminance byte per pixel
+ * sharp cannot read BMP, so our own decoder handles those
+ */
+async function decodeGrayscale(buffer) {
+  if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'BM') {
+    return bmpEncoder.decodeGrayscale(buffer);
+  }
+
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * 64-bit difference hash (dHash) as 16 hex characters
+ * Similar-looking images have hashes with a small Hamming distance
+ */
+async function perceptualHash(buffer) {
+  const { data, width, height } = await decodeGrayscale(buffer);
+
+  const { data: small } = await sharp(data, { raw: { width, height, channels: 1 } })
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const bit = small[y * 9 + x] > small[y * 9 + x + 1] ? 1n : 0n;
+      hash = (hash << 1n) | bit;
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+}
+
+/**
+ * Percentage (0-100) of pixels that differ between two images
+ * Returns null when the images have different dimensions
+ */
+async function pixelDifference(bufferA, bufferB) {
+  const [a, b] = await Promise.all([decodeGrayscale(bufferA), decodeGrayscale(bufferB)]);
+
+  if (a.width !== b.width || a.height !== b.height) {
+    return null;
+  }
+
+  let changed = 0;
+  for (let i = 0; i < a.data.length; i++) {
+    if (Math.abs(a.data[i] - b.data[i]) > PIXEL_TOLERANCE) {
+      changed++;
+    }
+  }
+
+  return (changed / a.data.length) * 100;
+}
+
+module.exports = {
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  pixelDifference
+};
@@ -0,0 +1,167 @@
+/**
+ * Image Pipeline
+ * Ordered post-processing steps applied to a capture before format conversion
+ */
+
+const sharp = require('sharp');
+
+const OPERATIONS = ['rotate', 'mirror', 'invert', 'brightness', 'contrast', 'gamma', 'sharpen', 'thresholdBias'];
+
+// Allowed range of `value` for numeric operations
+const RANGES = {
+  brightness: [0.1, 3],
+  contrast: [0.1, 3],
+  gamma: [0.1, 5],
+  sharpen: [0.3, 10],
+  thresholdBias: [-127, 127]
+};
+
+/**
+ * Number of clockwise quarter turns the pipeline applies, modulo 4
+ */
+function getQuarterTurns(steps = []) {
+  const degrees = steps
+    .filter(step => step.op === 'rotate')
+    .reduce((sum, step) => sum + step.angle, 0);
+
+  return (degrees / 90) % 4;
+}
+
+/**
+ * Size to capture at so that, after the pipeline's rotations, the image is width x height
+ */
+function getSourceSize(steps, width, height) {
+  return getQuarterTurns(steps) % 2 === 1
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+/**
+ * Apply a single step to raw pixels
+ * Each step runs in its own sharp instance because sharp reorders chained operations
+ */
+async function applyStep(image, step) {
+  const { data, info } = image;
+  const input = () => sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+  let output;
+  switch (step.op) {
+    case 'rotate':
+      output = input().rotate(step.angle);
+      break;
+    case 'mirror':
+      output = step.direction === 'vertical' ? input().flip() : input().flop();
+      break;
+    case 'invert':
+      output = input().negate({ alpha: false });
+      break;
+    case 'brightness':
+      output = input().linear(step.value, 0);
+      break;
+    case 'contrast':
+      // Scale around mid-gray so 128 stays put
+      output = input().linear(step.value, 128 * (1 - step.value));
+      break;
+    case 'sharpen':
+      output = input().sharpen({ sigma: step.value || 1 });
+      break;
+    case 'thresholdBias':
+      // Positive values push more pixels to black when converting to 1-bit
+      output = input().linear(1, -step.value);
+      break;
+    case 'gamma': {
+      const lut = new Uint8Array(256);
+      for (let i = 0; i < 256; i++) {
+        lut[i] = Math.round(255 * Math.pow(i / 255, 1 / step.value));
+      }
+      const pixels = Buffer.alloc(data.length);
+      for (let i = 0; i < data.length; i++) {
+        pixels[i] = lut[data[i]];
+      }
+      return { data: pixels, info };
+    }
+    default:
+      throw new Error(`Unknown pipeline operation: ${step.op}`);
+  }
+
+  return output.raw().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Run the steps in order and return a PNG buffer
+ */
+async function applyPipeline(imageBuffer, steps = []) {
+  if (!steps || steps.length === 0) {
+    return imageBuffer;
+  }
+
+  let image = await sharp(imageBuffer)
+    .flatten({ background: '#ffffff' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (const step of steps) {
+    image = await applyStep(image, step);
+  }
+
+  const { data, info } = image;
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Validate a profile's postProcess setting
+ */
+function validate(steps) {
+  const errors = [];
+
+  if (steps === undefined) {
+    return errors;
+  }
+
+  // null is rejected too: captures expect a list, even an empty one
+  if (!Array.isArray(steps)) {
+    return ['postProcess must be a list of steps'];
+  }
+
+  steps.forEach((step, i) => {
+    const label = `postProcess[${i}]`;
+
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!OPERATIONS.includes(step.op)) {
+      errors.push(`${label}.op must be one of: ${OPERATIONS.join(', ')}`);
+      return;
+    }
+
+    if (step.op === 'rotate' && ![90, 180, 270].includes(step.angle)) {
+      errors.push(`${label}.angle must be 90, 180 or 270`);
+    }
+
+    if (step.op === 'mirror' && step.direction !== undefined && !['horizontal', 'vertical'].includes(step.direction)) {
+      errors.push(`${label}.direction must be "horizontal" or "vertical"`);
+    }
+
+    const range = RANGES[step.op];
+    if (range) {
+      const optional = step.op === 'sharpen' && step.value === undefined;
+      if (!optional && (typeof step.value !== 'number' || step.value < range[0] || step.value > range[1])) {
+        errors.push(`${label}.value must be a number between ${range[0]} and ${range[1]}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  OPERATIONS,
+  getQuarterTurns,
+  getSourceSize,
+  applyPipeline,
+  validate
+};
@@ -5,15 +5,78 @@
  */
 
 const ScreenshotServer = require('./server');
+const addonOptions = require('./addon-options');
+const logger = require('./logger');
 const path = require('path');
 
-// Configuration from environment
+/**
+ * Parse an optional numeric environment variable
+ */
+function optionalNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Parse a comma-separated environment variable into a list
+ */
+function list(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const dataPath = process.env.DATA_PATH || '/data';
+const port = parseInt(process.env.PORT || 5001);
+const haUrl = (process.env.HA_URL || 'http://homeassistant.local:8123').replace(/\/$/, '');
+
+// Add-on options from the Home Assistant configuration tab
+const { options, errors: optionErrors, source: optionsSource } = addonOptions.load(dataPath);
+
+// Configuration from the add-on options and environment
 const config = {
-  port: parseInt(process.env.PORT || 5001),
-  dataPath: process.env.DATA_PATH || '/data',
-  haUrl: process.env.HA_URL || 'http://homeassistant.local:8123',
-  haToken: process.env.SUPERVISOR_TOKEN || process.env.HA_TOKEN || '',
-  logLevel: process.env.LOG_LEVEL || 'info'
+  port,
+  dataPath,
+  haUrl,
+  // The Supervisor's token only opens the Core API; the frontend needs a user's token
+  haToken: process.env.HA_TOKEN || options.ha_token,
+  haRefreshToken: process.env.HA_REFRESH_TOKEN || options.ha_refresh_token,
+  haClientId: process.env.HA_CLIENT_ID || '',
+  pagePoolSize: parseInt(process.env.PAGE_POOL_SIZE || 4),
+  pagePoolMaxUses: parseInt(process.env.PAGE_POOL_MAX_USES || 50),
+  retention: {
+    keepLast: optionalNumber(process.env.RETENTION_KEEP_LAST) ?? options.retention_keep_last,
+    maxAgeHours: optionalNumber(process.env.RETENTION_MAX_AGE_HOURS) ?? options.retention_max_age_hours,
+    maxTotalMB: optionalNumber(process.env.RETENTION_MAX_TOTAL_MB) ?? options.retention_max_total_mb,
+    keepLatest: process.env.RETENTION_KEEP_LATEST ? process.env.RETENTION_KEEP_LATEST !== 'false' : options.retention_keep_latest
+  },
+  corsOrigins: list(process.env.CORS_ORIGINS || options.cors_origins),
+  urlAllowlist: list(process.env.CAPTURE_URL_ALLOWLIST || options.capture_url_allowlist),
+  urlDenylist: list(process.env.CAPTURE_URL_DENYLIST || options.capture_url_denylist),
+  ingressProxy: process.env.INGRESS_PROXY_IP || options.ingress_proxy_ip || undefined,
+  profilesFile: process.env.PROFILES_FILE !== undefined ? process.env.PROFILES_FILE : options.profiles_file,
+  // Older installs already store screenshot_interval, so it only applies once opted in
+  screenshotInterval: options.schedule_new_profiles ? options.screenshot_interval : 0,
+  imageQuality: options.image_quality,
+  maxConcurrent: options.max_concurrent_captures,
+  logLevel: process.env.LOG_LEVEL in logger.LEVELS ? process.env.LOG_LEVEL : options.log_level,
+  entities: {
+    enabled: options.publish_entities,
+    // Inside the add-on the Supervisor proxies the Core API and provides its own token
+    apiUrl: process.env.HA_API_URL || (process.env.SUPERVISOR_TOKEN ? 'http://supervisor/core/api' : `${haUrl}/api`),
+    token: process.env.SUPERVISOR_TOKEN || process.env.HA_TOKEN || '',
+    publicUrl: process.env.PUBLIC_URL || options.public_url
+  },
+  triggers: {
+    wsUrl: process.env.HA_WS_URL || (process.env.SUPERVISOR_TOKEN ? 'ws://supervisor/core/websocket' : `${haUrl.replace(/^http/, 'ws')}/api/websocket`),
+    token: process.env.SUPERVISOR_TOKEN || ''
+  },
+  mqtt: {
+    url: process.env.MQTT_URL || options.mqtt_url,
+    username: process.env.MQTT_USERNAME || options.mqtt_username,
+    password: process.env.MQTT_PASSWORD || options.mqtt_password,
+    topicPrefix: options.mqtt_topic_prefix,
+    discoveryPrefix: options.mqtt_discovery_prefix
+  },
+  optionsSource,
+  optionErrors
 };
 
 console.log('======================================');
@@ -23,13 +86,23 @@ console.log(`Node.js version: ${process.version}`);
 console.log(`Data path: ${config.dataPath}`);
 console.log(`Home Assistant URL: ${config.haUrl}`);
 console.log(`Log level: ${config.logLevel}`);
-if (config.haToken) {
+console.log(`Options: ${optionsSource || 'defaults (no options.json)'}`);
+for (const error of optionErrors) {
+  console.warn(`Invalid add-on option (ignored): ${error}`);
+}
+if (config.haRefreshToken) {
+  console.log('HA authentication: refresh token');
+} else if (config.haToken) {
   console.log('HA authentication token: provided');
 } else {
-  console.log('HA authentication token: not provided');
+  console.log('HA authentication token: not provided (set the ha_token or ha_refresh_token option)');
 }
 console.log('');
 
+// Everything logged from here on honors the level and is kept for the log viewer
+logger.setLevel(config.logLevel);
+logger.captureConsole();
+
 // Create and start server
 const server = new ScreenshotServer(config);
 
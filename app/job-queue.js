@@ -0,0 +1,286 @@
+/**
+ * Capture Job Queue
+ * Runs capture jobs with limited concurrency, priorities, coalescing, cancellation and timeouts
+ */
+
+const crypto = require('crypto');
+
+// Higher runs first; jobs with equal priority run in FIFO order
+const PRIORITIES = {
+  manual: 10,
+  triggered: 2,
+  scheduled: 0
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'timeout'];
+
+/**
+ * Build the abort reason passed to a running job's signal
+ */
+function abortReason(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class CaptureJob {
+  constructor(options) {
+    this.id = crypto.randomBytes(8).toString('hex');
+    this.key = options.key || null;
+    this.profileId = options.profileId || null;
+    this.priority = options.priority || 'manual';
+    this.timeout = options.timeout;
+    this.payload = options.payload || {};
+    this.status = 'queued';
+    this.created = new Date().toISOString();
+    this.started = null;
+    this.finished = null;
+    this.result = null;
+    this.error = null;
+    this.coalesced = 0;
+
+    this.sequence = 0;
+    this.controller = null;
+    this.timer = null;
+    this.promise = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  isFinished() {
+    return FINISHED_STATUSES.includes(this.status);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      profileId: this.profileId,
+      priority: this.priority,
+      status: this.status,
+      created: this.created,
+      started: this.started,
+      finished: this.finished,
+      coalesced: this.coalesced,
+      result: this.result,
+      error: this.error
+    };
+  }
+}
+
+class CaptureQueue {
+  constructor(options = {}) {
+    this.runJob = options.runJob;
+    this.concurrency = options.concurrency || 3;
+    this.defaultTimeout = options.defaultTimeout || 120000;
+    this.maxFinished = options.maxFinished || 100;
+
+    this.queued = [];
+    this.running = new Map();
+    this.jobs = new Map();
+    this.sequence = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Add a job to the queue
+   * When a job with the same key is already queued or running, that job is returned instead
+   */
+  enqueue(options = {}) {
+    if (this.stopped) {
+      throw new Error('Capture queue is stopped');
+    }
+
+    if (options.priority && !(options.priority in PRIORITIES)) {
+      throw new Error(`Unknown job priority: ${options.priority}`);
+    }
+
+    if (options.key) {
+      const existing = this.findActive(options.key);
+      if (existing) {
+        existing.coalesced++;
+
+        // A manual request for a profile waiting behind scheduled work moves it up
+        if (existing.status === 'queued' && PRIORITIES[options.priority || 'manual'] > PRIORITIES[existing.priority]) {
+          existing.priority = options.priority || 'manual';
+          this.sortQueue();
+        }
+
+        return existing;
+      }
+    }
+
+    const job = new CaptureJob({ ...options, timeout: options.timeout || this.defaultTimeout });
+    job.sequence = this.sequence++;
+
+    this.jobs.set(job.id, job);
+    this.queued.push(job);
+    this.sortQueue();
+    this.pump();
+
+    return job;
+  }
+
+  findActive(key) {
+    for (const job of this.jobs.values()) {
+      if (job.key === key && !job.isFinished() && job.status !== 'cancelling') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether any job with the key is unfinished, including one still winding down after a cancel
+   */
+  hasActive(key) {
+    return [...this.jobs.values()].some(job => job.key === key && !job.isFinished());
+  }
+
+  sortQueue() {
+    this.queued.sort((a, b) => (PRIORITIES[b.priority] - PRIORITIES[a.priority]) || (a.sequence - b.sequence));
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   * A job waits while another job with its key is still running, e.g. one that is being cancelled
+   */
+  pump() {
+    let i = 0;
+    while (!this.stopped && this.running.size < this.concurrency && i < this.queued.length) {
+      const job = this.queued[i];
+      if (job.key && [...this.running.values()].some(running => running.key === job.key)) {
+        i++;
+        continue;
+      }
+
+      this.queued.splice(i, 1);
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    job.status = 'running';
+    job.started = new Date().toISOString();
+    job.controller = new AbortController();
+    this.running.set(job.id, job);
+
+    job.timer = setTimeout(() => {
+      job.controller.abort(abortReason(`Job timed out after ${job.timeout}ms`, 'JOB_TIMEOUT'));
+    }, job.timeout);
+
+    // The job keeps its slot until runJob settles, even after an abort, so an aborted
+    // capture never runs alongside the next one
+    Promise.resolve()
+      .then(() => this.runJob(job, job.controller.signal))
+      .then(result => {
+        if (job.controller.signal.aborted) {
+          this.finishAborted(job);
+        } else {
+          this.finish(job, result && result.success === false ? 'failed' : 'completed', result);
+        }
+      })
+      .catch(error => {
+        if (job.controller.signal.aborted) {
+          this.finishAborted(job);
+        } else {
+          this.finish(job, 'failed', { success: false, error: error.message });
+        }
+      });
+  }
+
+  finishAborted(job) {
+    const cancelled = job.status === 'cancelling';
+    const reason = job.controller.signal.reason;
+
+    this.finish(job, cancelled ? 'cancelled' : 'timeout', {
+      success: false,
+      error: cancelled ? 'Job cancelled' : (reason && reason.message) || 'Job timed out',
+      code: cancelled ? 'JOB_CANCELLED' : 'JOB_TIMEOUT'
+    });
+  }
+
+  finish(job, status, result) {
+    clearTimeout(job.timer);
+    job.status = status;
+    job.finished = new Date().toISOString();
+    job.result = result || null;
+    job.error = result && result.success === false ? result.error : null;
+
+    this.running.delete(job.id);
+    job.resolve(job.result);
+
+    this.pruneFinished();
+    this.pump();
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Returns false when the job does not exist or has already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.isFinished() || job.status === 'cancelling') {
+      return false;
+    }
+
+    if (job.status === 'queued') {
+      this.queued = this.queued.filter(j => j !== job);
+      this.finish(job, 'cancelled', { success: false, error: 'Job cancelled', code: 'JOB_CANCELLED' });
+      return true;
+    }
+
+    job.status = 'cancelling';
+    job.controller.abort(abortReason('Job cancelled', 'JOB_CANCELLED'));
+    return true;
+  }
+
+  /**
+   * Keep only the most recent finished jobs for inspection
+   */
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter(job => job.isFinished());
+    const excess = finished.length - this.maxFinished;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Get jobs, newest first, optionally filtered by status or profile
+   */
+  getJobs(filter = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.profileId || job.profileId === filter.profileId)
+      .reverse();
+  }
+
+  getStats() {
+    return {
+      queued: this.queued.length,
+      running: this.running.size,
+      concurrency: this.concurrency
+    };
+  }
+
+  /**
+   * Stop accepting jobs, cancel everything queued and wait for running jobs
+   */
+  async stop() {
+    this.stopped = true;
+
+    for (const job of [...this.queued]) {
+      this.cancel(job.id);
+    }
+
+    await Promise.allSettled([...this.running.values()].map(job => job.promise));
+  }
+}
+
+module.exports = CaptureQueue;
+module.exports.PRIORITIES = PRIORITIES;
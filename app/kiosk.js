@@ -0,0 +1,179 @@
+/**
+ * Kiosk Mode
+ * Hides Home Assistant's header and sidebar and works out clip regions for captures
+ */
+
+const FIT_MODES = ['contain', 'cover', 'fill'];
+
+// Styles injected into the shadow roots of the elements that render HA chrome
+const HEADER_STYLES = {
+  'hui-root': `
+    .header, app-header, app-toolbar { display: none !important; }
+    #view, hui-view { padding-top: 0 !important; margin-top: 0 !important; min-height: 100vh !important; }
+  `
+};
+
+const SIDEBAR_STYLES = {
+  'home-assistant-main': `
+    ha-sidebar { display: none !important; }
+    ha-drawer, app-drawer-layout { --mdc-drawer-width: 0px !important; --app-drawer-width: 0px !important; }
+  `
+};
+
+/**
+ * Runs in the page: add a style element to the shadow root of every element
+ * whose tag matches a key of `styles`. Returns the number of roots styled.
+ */
+function injectShadowStyles(styles) {
+  let count = 0;
+
+  const visit = root => {
+    for (const el of root.querySelectorAll('*')) {
+      if (!el.shadowRoot) {
+        continue;
+      }
+
+      const css = styles[el.localName];
+      if (css && !el.shadowRoot.querySelector('style[data-trmnl-kiosk]')) {
+        const style = document.createElement('style');
+        style.setAttribute('data-trmnl-kiosk', '');
+        style.textContent = css;
+        el.shadowRoot.appendChild(style);
+        count++;
+      }
+
+      visit(el.shadowRoot);
+    }
+  };
+
+  visit(document);
+  return count;
+}
+
+/**
+ * Ask the HA frontend to start with its sidebar hidden
+ * Uses the same localStorage setting as "Hide sidebar" in the HA user profile
+ */
+async function seedHiddenSidebar(context, origin) {
+  await context.addInitScript(haOrigin => {
+    if (window.location.origin === haOrigin) {
+      window.localStorage.setItem('dockedSidebar', JSON.stringify('always_hidden'));
+    }
+  }, origin);
+}
+
+/**
+ * Hide HA chrome in an already loaded page
+ */
+async function hideChrome(page, options = {}) {
+  const styles = {
+    ...(options.hideHeader ? HEADER_STYLES : {}),
+    ...(options.hideSidebar ? SIDEBAR_STYLES : {})
+  };
+
+  if (Object.keys(styles).length === 0) {
+    return 0;
+  }
+
+  const count = await page.evaluate(injectShadowStyles, styles);
+
+  // Give the layout a frame to reflow without the header
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+  return count;
+}
+
+/**
+ * Resolve a profile's crop setting to a Playwright clip rectangle
+ */
+async function resolveClip(page, crop) {
+  if (!crop) {
+    return undefined;
+  }
+
+  if (crop.selector) {
+    const box = await page.locator(crop.selector).first().boundingBox({ timeout: 5000 }).catch(() => null);
+    if (!box || box.width === 0 || box.height === 0) {
+      throw new Error(`Crop selector did not match a visible element: ${crop.selector}`);
+    }
+
+    const padding = crop.padding || 0;
+    return {
+      x: Math.max(0, box.x - padding),
+      y: Math.max(0, box.y - padding),
+      width: box.width + padding * 2,
+      height: box.height + padding * 2
+    };
+  }
+
+  return {
+    x: crop.x || 0,
+    y: crop.y || 0,
+    width: crop.width,
+    height: crop.height
+  };
+}
+
+/**
+ * Validate kiosk and crop settings of a profile
+ */
+function validate(config) {
+  const errors = [];
+
+  for (const field of ['hideHeader', 'hideSidebar']) {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+
+  for (const field of ['viewportWidth', 'viewportHeight']) {
+    const value = config[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 100 || value > 4000)) {
+      errors.push(`${field} must be a number between 100 and 4000`);
+    }
+  }
+
+  const crop = config.crop;
+  if (crop === undefined || crop === null) {
+    return errors;
+  }
+
+  if (typeof crop !== 'object' || Array.isArray(crop)) {
+    errors.push('crop must be an object with a selector or x, y, width and height');
+    return errors;
+  }
+
+  if (crop.selector !== undefined) {
+    if (typeof crop.selector !== 'string' || !crop.selector) {
+      errors.push('crop.selector must be a non-empty string');
+    }
+    if (crop.padding !== undefined && (typeof crop.padding !== 'number' || crop.padding < 0)) {
+      errors.push('crop.padding must be a non-negative number');
+    }
+  } else {
+    for (const field of ['x', 'y']) {
+      if (crop[field] !== undefined && (typeof crop[field] !== 'number' || crop[field] < 0)) {
+        errors.push(`crop.${field} must be a non-negative number`);
+      }
+    }
+    for (const field of ['width', 'height']) {
+      if (typeof crop[field] !== 'number' || crop[field] <= 0) {
+        errors.push(`crop.${field} is required and must be a positive number`);
+      }
+    }
+  }
+
+  if (crop.fit !== undefined && !FIT_MODES.includes(crop.fit)) {
+    errors.push(`crop.fit must be one of: ${FIT_MODES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  FIT_MODES,
+  seedHiddenSidebar,
+  hideChrome,
+  resolveClip,
+  validate
+};
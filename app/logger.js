@@ -0,0 +1,168 @@
+/**
+ * Logger
+ * Leveled logging with scope and profile/job tags, kept in a bounded in-memory buffer
+ * for the log viewer
+ */
+
+const util = require('util');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warning: 30,
+  error: 40
+};
+
+const DEFAULT_CAPACITY = 1000;
+
+// Console methods as they were before captureConsole() replaced them
+const output = {
+  debug: console.debug.bind(console),
+  info: console.log.bind(console),
+  warning: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+/**
+ * Fixed-size buffer of the most recent entries
+ */
+class LogBuffer {
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  push(entry) {
+    const stored = { id: this.nextId++, ...entry };
+    this.entries.push(stored);
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+    return stored;
+  }
+
+  /**
+   * Entries at or above `level`, optionally for one profile and newer than `since`
+   * Returns the newest `limit` matches, oldest first
+   */
+  query(options = {}) {
+    const minLevel = LEVELS[options.level] || 0;
+    const since = parseInt(options.since) || 0;
+    const limit = Math.min(Math.max(parseInt(options.limit) || 200, 1), this.capacity);
+
+    const matches = this.entries.filter(entry =>
+      entry.id > since &&
+      LEVELS[entry.level] >= minLevel &&
+      (!options.profile || entry.profile === options.profile));
+
+    return {
+      entries: matches.slice(-limit),
+      lastId: this.nextId - 1
+    };
+  }
+}
+
+class Logger {
+  constructor(options = {}) {
+    this.scope = options.scope || null;
+    this.tags = options.tags || {};
+    // Shared by a root logger and all its children
+    this.root = options.root || this;
+
+    if (this.root === this) {
+      this.level = options.level || 'info';
+      this.buffer = new LogBuffer(options.capacity);
+    }
+  }
+
+  /**
+   * Logger for a module, e.g. logger.child('ScreenshotService')
+   */
+  child(scope) {
+    return new Logger({ root: this.root, scope, tags: this.tags });
+  }
+
+  /**
+   * Logger that tags every entry, e.g. log.with({ profile: id, job: jobId })
+   */
+  with(tags) {
+    const defined = Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== undefined && value !== null));
+    return new Logger({ root: this.root, scope: this.scope, tags: { ...this.tags, ...defined } });
+  }
+
+  setLevel(level) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.root.level = level;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  warn(...args) {
+    this.write('warning', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  write(level, args) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const message = util.format(...args);
+    this.root.buffer.push({
+      time: new Date().toISOString(),
+      level,
+      scope: this.scope,
+      message,
+      ...this.tags
+    });
+
+    const tags = Object.entries(this.tags).map(([name, value]) => `${name}=${value}`).join(' ');
+    output[level](`${this.scope ? `[${this.scope}] ` : ''}${message}${tags ? ` (${tags})` : ''}`);
+  }
+
+  /**
+   * Send console output through the logger too, so modules that still use
+   * console honor the level and show up in the log viewer
+   */
+  captureConsole() {
+    const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warning', error: 'error' };
+
+    for (const [method, level] of Object.entries(methods)) {
+      console[method] = (...args) => {
+        // Lift a leading "[Scope]" prefix into the entry's scope
+        const match = typeof args[0] === 'string' ? args[0].match(/^\[([A-Za-z]+)\] ?/) : null;
+        if (match) {
+          const rest = args[0].substring(match[0].length);
+          this.child(match[1]).write(level, rest ? [rest, ...args.slice(1)] : args.slice(1));
+        } else {
+          this.write(level, args);
+        }
+      };
+    }
+  }
+
+  query(options) {
+    return this.root.buffer.query(options);
+  }
+}
+
+// The addon's root logger
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,205 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+
+const PHASES = ['navigate', 'wait', 'screenshot', 'convert', 'write'];
+
+const PHASE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CAPTURE_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * A metric family; samples are kept per distinct label set
+ */
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.samples = new Map();
+  }
+
+  sample(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.samples.has(key)) {
+      this.samples.set(key, { labels, ...create() });
+    }
+    return this.samples.get(key);
+  }
+
+  reset() {
+    this.samples.clear();
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+
+  renderSamples() {
+    return [...this.samples.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.sample(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * For counters kept elsewhere (e.g. browser restarts), copied in at scrape time
+   */
+  set(labels, value) {
+    this.sample(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels, value) {
+    this.sample(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.sample(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const sample = this.sample(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        sample.counts[i]++;
+      }
+    });
+    sample.sum += value;
+    sample.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.samples.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.captures = new Counter('trmnl_captures_total', 'Finished captures by profile and result (success, unchanged or failure)');
+    this.captureDuration = new Histogram('trmnl_capture_duration_seconds', 'Total duration of successful captures', CAPTURE_BUCKETS);
+    this.phaseDuration = new Histogram('trmnl_capture_phase_duration_seconds', 'Duration of each phase of successful captures', PHASE_BUCKETS);
+    this.httpRequests = new Counter('trmnl_http_requests_total', 'HTTP requests by method, route and status code');
+
+    // Refreshed from the server's current state on every scrape
+    this.queueDepth = new Gauge('trmnl_queue_depth', 'Capture jobs waiting in the queue');
+    this.runningJobs = new Gauge('trmnl_queue_running', 'Capture jobs currently running');
+    this.activeCaptures = new Gauge('trmnl_active_captures', 'Captures currently using the browser');
+    this.browserUp = new Gauge('trmnl_browser_up', 'Whether the browser is ready for captures');
+    this.browserRestarts = new Counter('trmnl_browser_restarts_total', 'Browser relaunches after crashes or failed launches');
+    this.storageBytes = new Gauge('trmnl_screenshot_storage_bytes', 'Bytes used by stored screenshots, by profile');
+    this.storageFiles = new Gauge('trmnl_screenshot_files', 'Number of stored screenshots, by profile');
+    this.profileInfo = new Gauge('trmnl_profile_info', 'Capture profiles, with their name and whether they are enabled');
+
+    this.families = [
+      this.captures, this.captureDuration, this.phaseDuration,
+      this.queueDepth, this.runningJobs, this.activeCaptures,
+      this.browserUp, this.browserRestarts,
+      this.storageBytes, this.storageFiles, this.profileInfo,
+      this.httpRequests
+    ];
+  }
+
+  /**
+   * Count a finished capture; ad-hoc captures are labelled profile="adhoc"
+   */
+  recordCapture(profileId, result) {
+    const profile = profileId || 'adhoc';
+
+    if (!result.success) {
+      this.captures.inc({ profile, result: 'failure' });
+      return;
+    }
+
+    this.captures.inc({ profile, result: result.changed === false ? 'unchanged' : 'success' });
+
+    if (result.duration !== undefined) {
+      this.captureDuration.observe({ profile }, result.duration / 1000);
+    }
+
+    for (const phase of PHASES) {
+      if (result.timings && result.timings[phase] !== undefined) {
+        this.phaseDuration.observe({ phase }, result.timings[phase] / 1000);
+      }
+    }
+  }
+
+  recordRequest(method, route, status) {
+    this.httpRequests.inc({ method, route, status });
+  }
+
+  /**
+   * Render all metrics, after copying in the current state:
+   * { queue, activeCaptures, browser, screenshots, profiles }
+   */
+  render(state) {
+    this.queueDepth.set({}, state.queue.queued);
+    this.runningJobs.set({}, state.queue.running);
+    this.activeCaptures.set({}, state.activeCaptures);
+    this.browserUp.set({}, state.browser.ready ? 1 : 0);
+    this.browserRestarts.set({}, state.browser.restarts);
+
+    // Deleted profiles must disappear, so these are rebuilt every time
+    this.storageBytes.reset();
+    this.storageFiles.reset();
+    for (const entry of state.screenshots) {
+      const labels = { profile: entry.profileId || 'adhoc' };
+      this.storageBytes.inc(labels, entry.size);
+      this.storageFiles.inc(labels);
+    }
+
+    this.profileInfo.reset();
+    for (const profile of state.profiles) {
+      this.profileInfo.set({ profile: profile.id, name: profile.name, enabled: String(profile.enabled) }, 1);
+    }
+
+    return `${this.families.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = Metrics;
+module.exports.PHASES = PHASES;
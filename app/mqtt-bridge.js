@@ -0,0 +1,287 @@
+/**
+ * MQTT Bridge
+ * Triggers profile captures from MQTT commands and announces profiles through HA MQTT discovery
+ */
+
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const ScreenshotService = require('./screenshot-service');
+const { normalizeFormat } = require('./screenshot-index');
+const logger = require('./logger');
+
+const NODE_ID = 'trmnl_screenshot';
+
+class MqttBridge {
+  constructor(options = {}) {
+    this.log = logger.child('MqttBridge');
+    this.url = options.url || '';
+    this.enabled = Boolean(this.url);
+    this.username = options.username || undefined;
+    this.password = options.password || undefined;
+    this.topicPrefix = (options.topicPrefix || 'trmnl_screenshot').replace(/\/+$/, '');
+    this.discoveryPrefix = (options.discoveryPrefix || 'homeassistant').replace(/\/+$/, '');
+    this.profileManager = options.profileManager;
+    this.screenshotService = options.screenshotService;
+    this.screenshotIndex = options.screenshotIndex;
+    this.captureProfile = options.captureProfile;
+
+    this.client = null;
+    this.connected = false;
+    this.lastError = null;
+    this.commands = 0;
+
+    this.listeners = {
+      create: profile => this.announce(profile),
+      update: profile => this.announce(profile),
+      delete: profile => this.remove(profile),
+      capture: (profile, details) => this.publishState(profile, details)
+    };
+  }
+
+  topic(...parts) {
+    return [this.topicPrefix, ...parts].join('/');
+  }
+
+  get availabilityTopic() {
+    return this.topic('status');
+  }
+
+  start() {
+    if (!this.enabled) {
+      this.log.info('Disabled (no mqtt_url configured)');
+      return;
+    }
+
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      clientId: `trmnl-screenshot-${crypto.randomBytes(4).toString('hex')}`,
+      reconnectPeriod: 5000,
+      will: { topic: this.availabilityTopic, payload: 'offline', qos: 1, retain: true }
+    });
+
+    this.client.on('connect', () => this.handleConnect());
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+    this.client.on('close', () => {
+      this.connected = false;
+    });
+    this.client.on('error', error => {
+      // Only log when the problem changes; the client keeps reconnecting
+      if (error.message !== this.lastError) {
+        this.log.warn(error.message);
+      }
+      this.lastError = error.message;
+    });
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.profileManager.on(event, listener);
+    }
+  }
+
+  async stop() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.profileManager.off(event, listener);
+    }
+
+    if (!this.client) {
+      return;
+    }
+
+    if (this.connected) {
+      await this.client.publishAsync(this.availabilityTopic, 'offline', { qos: 1, retain: true }).catch(() => {});
+    }
+    await this.client.endAsync();
+    this.client = null;
+  }
+
+  handleConnect() {
+    this.connected = true;
+    this.lastError = null;
+    this.log.info(`Connected to ${this.getDisplayUrl()}`);
+
+    // Home Assistant announces itself on <discovery prefix>/status when it (re)starts
+    this.client.subscribe([this.topic('+', 'capture'), `${this.discoveryPrefix}/status`], { qos: 1 });
+    this.publish(this.availabilityTopic, 'online');
+    this.announceAll();
+  }
+
+  handleMessage(topic, payload) {
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (payload.toString() === 'online') {
+        this.announceAll();
+      }
+      return;
+    }
+
+    // <prefix>/<profile id>/capture; the payload is ignored
+    const profileId = topic.substring(this.topicPrefix.length + 1).split('/')[0];
+    const profile = this.profileManager.getProfile(profileId);
+    if (!profile) {
+      this.log.with({ profile: profileId }).warn(`Capture requested for unknown profile: ${profileId}`);
+      return;
+    }
+
+    try {
+      const job = this.captureProfile(profile);
+      this.commands++;
+      this.log.with({ profile: profile.id, job: job.id }).info(`Capture of ${profile.name} requested`);
+    } catch (error) {
+      this.log.with({ profile: profile.id }).error(`Failed to queue capture of ${profile.name}:`, error.message);
+    }
+  }
+
+  announceAll() {
+    for (const profile of this.profileManager.getAllProfiles()) {
+      this.announce(profile);
+      this.publishState(profile);
+    }
+  }
+
+  /**
+   * Discovery config payloads for a profile, keyed by config topic
+   */
+  buildDiscovery(profile) {
+    const id = profile.id;
+    const stateTopic = this.topic(id, 'state');
+    const common = {
+      availability_topic: this.availabilityTopic,
+      device: {
+        identifiers: [`${NODE_ID}_${id}`],
+        name: `TRMNL ${profile.name}`,
+        manufacturer: 'TRMNL Screenshot',
+        model: 'Capture profile'
+      }
+    };
+    const configTopic = (component, objectId) => `${this.discoveryPrefix}/${component}/${NODE_ID}/${id}_${objectId}/config`;
+
+    return {
+      [configTopic('button', 'capture')]: {
+        ...common,
+        name: 'Capture now',
+        unique_id: `${NODE_ID}_${id}_capture`,
+        command_topic: this.topic(id, 'capture'),
+        payload_press: 'capture',
+        icon: 'mdi:camera'
+      },
+      [configTopic('sensor', 'last_success')]: {
+        ...common,
+        name: 'Last capture',
+        unique_id: `${NODE_ID}_${id}_last_success`,
+        state_topic: stateTopic,
+        // Before the first success this renders None, which HA shows as unknown instead of rejecting a null timestamp
+        value_template: '{{ value_json.lastSuccess if value_json.lastSuccess else None }}',
+        device_class: 'timestamp'
+      },
+      [configTopic('sensor', 'failures')]: {
+        ...common,
+        name: 'Capture failures',
+        unique_id: `${NODE_ID}_${id}_failures`,
+        state_topic: stateTopic,
+        value_template: '{{ value_json.failureCount }}',
+        json_attributes_topic: stateTopic,
+        state_class: 'measurement',
+        icon: 'mdi:alert-circle-outline'
+      },
+      [configTopic('image', 'image')]: {
+        ...common,
+        name: 'Image',
+        unique_id: `${NODE_ID}_${id}_image`,
+        image_topic: this.topic(id, 'image'),
+        content_type: ScreenshotService.getContentType(`image.${normalizeFormat(profile.outputFormat)}`)
+      }
+    };
+  }
+
+  announce(profile) {
+    for (const [topic, config] of Object.entries(this.buildDiscovery(profile))) {
+      this.publish(topic, JSON.stringify(config));
+    }
+  }
+
+  /**
+   * Publish the outcome of a profile's last capture, and its image when it changed
+   */
+  publishState(profile, details = null) {
+    if (!this.connected) {
+      return;
+    }
+
+    const entry = profile.lastScreenshot && this.screenshotIndex ? this.screenshotIndex.get(profile.lastScreenshot) : null;
+
+    this.publish(this.topic(profile.id, 'state'), JSON.stringify({
+      profileId: profile.id,
+      name: profile.name,
+      success: details ? Boolean(details.success) : Boolean(profile.lastSuccess) && !profile.lastError,
+      changed: profile.lastCaptureChanged !== false,
+      error: profile.lastError || null,
+      lastRun: profile.lastRun || null,
+      lastSuccess: profile.lastSuccess || null,
+      failureCount: profile.failureCount || 0,
+      filename: profile.lastScreenshot || null,
+      size: entry ? entry.size : null,
+      duration: details && details.duration !== undefined ? details.duration : null
+    }));
+
+    // Unchanged captures and failures leave the retained image as it is
+    if (profile.lastScreenshot && (!details || (details.success && details.changed !== false))) {
+      const image = this.screenshotService.getScreenshot(profile.lastScreenshot);
+      if (image) {
+        this.publish(this.topic(profile.id, 'image'), image);
+      }
+    }
+  }
+
+  /**
+   * Clear the retained discovery configs and state of a deleted profile
+   */
+  remove(profile) {
+    const topics = [
+      ...Object.keys(this.buildDiscovery(profile)),
+      this.topic(profile.id, 'state'),
+      this.topic(profile.id, 'image')
+    ];
+
+    for (const topic of topics) {
+      this.publish(topic, '');
+    }
+  }
+
+  publish(topic, payload) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.client.publish(topic, payload, { qos: 1, retain: true }, error => {
+      if (error) {
+        this.log.warn(`Failed to publish to ${topic}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Broker URL without credentials
+   */
+  getDisplayUrl() {
+    try {
+      const url = new URL(this.url);
+      url.username = '';
+      url.password = '';
+      return url.toString();
+    } catch (error) {
+      return this.url;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      connected: this.connected,
+      broker: this.enabled ? this.getDisplayUrl() : null,
+      topicPrefix: this.topicPrefix,
+      commands: this.commands,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = MqttBridge;
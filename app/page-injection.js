@@ -0,0 +1,117 @@
+/**
+ * Page Injection
+ * Applies a profile's custom stylesheet and init script to every page it captures
+ */
+
+const MAX_LENGTH = 50000;
+
+/**
+ * Runs in the page before any page script: adds the stylesheet to the document
+ * and to every shadow root as soon as it is attached
+ */
+function installStyles(css) {
+  const STYLE_ATTRIBUTE = 'data-trmnl-custom';
+
+  const addStyle = root => {
+    if (root.querySelector && root.querySelector(`style[${STYLE_ATTRIBUTE}]`)) {
+      return;
+    }
+    const style = document.createElement('style');
+    style.setAttribute(STYLE_ATTRIBUTE, '');
+    style.textContent = css;
+    root.appendChild(style);
+  };
+
+  const attachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (init) {
+    const root = attachShadow.call(this, init);
+    addStyle(root);
+    return root;
+  };
+
+  if (document.head) {
+    addStyle(document.head);
+  } else {
+    document.addEventListener('DOMContentLoaded', () => addStyle(document.head), { once: true });
+  }
+}
+
+/**
+ * Runs in the page after load: append the stylesheet as the last adopted sheet
+ * of the document and every open shadow root. Components (e.g. Lit) assign their
+ * own adoptedStyleSheets after attaching, so this makes the custom rules win ties.
+ */
+function adoptStylesDeep(css) {
+  // Pooled pages are captured repeatedly, so one sheet is kept per page
+  const sheet = window.__trmnlCustomSheet || (window.__trmnlCustomSheet = new CSSStyleSheet());
+  sheet.replaceSync(css);
+
+  const adopt = root => {
+    const others = root.adoptedStyleSheets.filter(existing => existing !== sheet);
+    root.adoptedStyleSheets = [...others, sheet];
+  };
+
+  const visit = root => {
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        adopt(el.shadowRoot);
+        visit(el.shadowRoot);
+      }
+    }
+  };
+
+  adopt(document);
+  visit(document);
+}
+
+/**
+ * Register the custom stylesheet and init script on a browser context
+ */
+async function prepareContext(context, options = {}) {
+  if (options.customCss) {
+    await context.addInitScript(installStyles, options.customCss);
+  }
+
+  if (options.initScript) {
+    await context.addInitScript({ content: options.initScript });
+  }
+}
+
+/**
+ * Re-apply the custom stylesheet once the page has rendered
+ */
+async function applyToPage(page, options = {}) {
+  if (!options.customCss) {
+    return;
+  }
+
+  await page.evaluate(adoptStylesDeep, options.customCss);
+}
+
+/**
+ * Validate the customCss and initScript fields of a profile
+ */
+function validate(config) {
+  const errors = [];
+
+  for (const field of ['customCss', 'initScript']) {
+    const value = config[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > MAX_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  prepareContext,
+  applyToPage,
+  validate
+};
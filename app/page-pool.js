@@ -0,0 +1,139 @@
+/**
+ * Page Pool
+ * Keeps warm browser pages (one context each) for reuse by repeated captures
+ */
+
+const os = require('os');
+const logger = require('./logger');
+
+class PagePool {
+  constructor(options = {}) {
+    this.log = logger.child('PagePool');
+    this.enabled = options.enabled !== false;
+    this.maxPages = options.maxPages || 4;
+    this.maxUses = options.maxUses || 50;
+    this.idleTimeout = options.idleTimeout || 10 * 60 * 1000;
+    this.minFreeMemory = (options.minFreeMemoryMB || 256) * 1024 * 1024;
+
+    this.entries = new Set();
+    this.nextId = 1;
+    this.stats = { hits: 0, misses: 0, recycled: 0 };
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get an idle page for the key, or create one with `create()`
+   * `create` must resolve to { context, page }
+   */
+  async acquire(key, create) {
+    if (this.enabled && key) {
+      for (const entry of this.entries) {
+        if (entry.key === key && !entry.inUse && entry.handle.page.isClosed()) {
+          // The page crashed or was closed while idle
+          await this.destroy(entry);
+        } else if (entry.key === key && !entry.inUse) {
+          entry.inUse = true;
+          entry.uses++;
+          entry.lastUsed = Date.now();
+          this.stats.hits++;
+          return { ...entry.handle, entry, reused: true };
+        }
+      }
+    }
+
+    this.stats.misses++;
+    const handle = await create();
+
+    const entry = {
+      id: this.nextId++,
+      key,
+      handle,
+      uses: 1,
+      created: Date.now(),
+      lastUsed: Date.now(),
+      inUse: true
+    };
+    this.entries.add(entry);
+
+    return { ...handle, entry, reused: false };
+  }
+
+  /**
+   * Return a page to the pool; unhealthy, worn out or surplus pages are closed instead
+   */
+  async release(lease, healthy = true) {
+    const { entry } = lease;
+    entry.inUse = false;
+    entry.lastUsed = Date.now();
+
+    const keep = this.enabled &&
+      entry.key &&
+      healthy &&
+      entry.uses < this.maxUses &&
+      !this.isUnderMemoryPressure() &&
+      this.entries.size <= this.maxPages;
+
+    if (!keep) {
+      await this.destroy(entry);
+    }
+  }
+
+  async destroy(entry) {
+    if (!this.entries.delete(entry)) {
+      return;
+    }
+
+    this.stats.recycled++;
+    await entry.handle.context.close().catch(() => {});
+  }
+
+  isUnderMemoryPressure() {
+    return os.freemem() < this.minFreeMemory;
+  }
+
+  /**
+   * Close idle pages that timed out, or all idle pages when memory is low
+   */
+  async sweep() {
+    const now = Date.now();
+    const lowMemory = this.isUnderMemoryPressure();
+
+    if (lowMemory) {
+      this.log.warn('Low free memory, closing idle pages');
+    }
+
+    const stale = [...this.entries].filter(entry => !entry.inUse && (lowMemory || now - entry.lastUsed > this.idleTimeout));
+    await Promise.all(stale.map(entry => this.destroy(entry)));
+  }
+
+  /**
+   * Close every pooled page
+   */
+  async clear() {
+    await Promise.all([...this.entries].map(entry => this.destroy(entry)));
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    await this.clear();
+  }
+
+  getStats() {
+    const entries = [...this.entries];
+
+    return {
+      enabled: this.enabled,
+      pages: entries.length,
+      inUse: entries.filter(entry => entry.inUse).length,
+      idle: entries.filter(entry => !entry.inUse).length,
+      maxPages: this.maxPages,
+      maxUses: this.maxUses,
+      ...this.stats,
+      freeMemoryMB: Math.round(os.freemem() / 1024 / 1024)
+    };
+  }
+}
+
+module.exports = PagePool;
@@ -0,0 +1,221 @@
+/**
+ * Profile Import/Export
+ * Moves profiles in and out of the store as JSON or YAML documents, including
+ * the declarative profiles file reconciled at startup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const yaml = require('js-yaml');
+const { EDITABLE_FIELDS } = require('./profile-manager');
+
+const FORMAT_VERSION = 1;
+const MODES = ['merge', 'replace'];
+
+// Ids chosen by the user, e.g. "kitchen-dashboard"
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Raised when an import document can't be read or would create invalid profiles
+ * `errors` lists every problem found
+ */
+class ProfileImportError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'ProfileImportError';
+    this.code = 'INVALID_IMPORT';
+    this.errors = errors.length ? errors : [message];
+  }
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+}
+
+/**
+ * Export document for a list of profiles; runtime state (last run, errors, hashes) is left out
+ */
+function exportProfiles(profiles) {
+  return {
+    version: FORMAT_VERSION,
+    exported: new Date().toISOString(),
+    profiles: profiles.map(profile => pick(profile, ['id', ...EDITABLE_FIELDS]))
+  };
+}
+
+function serialize(document, format = 'json') {
+  return format === 'yaml'
+    ? yaml.dump(document, { noRefs: true, lineWidth: -1 })
+    : JSON.stringify(document, null, 2);
+}
+
+/**
+ * Accept a bare list of profiles or a document with `profiles` (and optionally `mode`)
+ */
+function normalizeDocument(data) {
+  const document = Array.isArray(data) ? { profiles: data } : data;
+
+  if (!document || typeof document !== 'object' || !Array.isArray(document.profiles)) {
+    throw new ProfileImportError('Expected a list of profiles or an object with a "profiles" list');
+  }
+
+  if (document.mode !== undefined && !MODES.includes(document.mode)) {
+    throw new ProfileImportError(`Mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  return { mode: document.mode, profiles: document.profiles };
+}
+
+/**
+ * Parse JSON or YAML text (YAML also accepts JSON)
+ */
+function parse(text, format = 'yaml') {
+  let data;
+  try {
+    data = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new ProfileImportError(`Could not parse ${format.toUpperCase()}: ${error.message.split('\n')[0]}`);
+  }
+
+  return normalizeDocument(data);
+}
+
+/**
+ * Read a profiles file, or return null when it doesn't exist
+ */
+function loadFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'yaml';
+  return parse(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+/**
+ * Work out what importing a document would change, without changing anything
+ * Entries match existing profiles by `id`, or by `name` when they have no id.
+ * In replace mode every profile the document doesn't mention is deleted.
+ * Throws ProfileImportError listing every invalid entry.
+ */
+function planImport(profileManager, document, options = {}) {
+  const mode = options.mode || document.mode || 'merge';
+  if (!MODES.includes(mode)) {
+    throw new ProfileImportError(`Mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  const existing = profileManager.getAllProfiles();
+  const errors = [];
+  const matched = new Set();
+  const keys = new Set();
+  const plan = { mode, create: [], update: [], delete: [], unchanged: [] };
+
+  document.profiles.forEach((entry, index) => {
+    const label = `Profile ${index + 1}${entry && typeof entry.name === 'string' ? ` (${entry.name})` : ''}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const unknown = Object.keys(entry).filter(field => field !== 'id' && !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`${label}: unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+    }
+
+    if (entry.id !== undefined && (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id))) {
+      errors.push(`${label}: id must be 1-64 letters, digits, "-" or "_"`);
+      return;
+    }
+
+    let target = null;
+    if (entry.id !== undefined) {
+      target = profileManager.getProfile(entry.id);
+    } else {
+      const byName = existing.filter(profile => profile.name === entry.name);
+      if (byName.length > 1) {
+        errors.push(`${label}: several profiles are named "${entry.name}"; add an id to say which one`);
+        return;
+      }
+      target = byName[0] || null;
+    }
+
+    const key = target ? target.id : (entry.id || `name:${entry.name}`);
+    if (keys.has(key)) {
+      errors.push(`${label}: the same profile appears more than once`);
+      return;
+    }
+    keys.add(key);
+
+    const settings = pick(entry, EDITABLE_FIELDS);
+    const { errors: profileErrors } = profileManager.validateProfile(target ? { ...target, ...settings } : settings);
+    errors.push(...profileErrors.map(error => `${label}: ${error}`));
+
+    if (!target) {
+      plan.create.push({ id: entry.id || null, name: settings.name, settings });
+      return;
+    }
+
+    matched.add(target.id);
+
+    const changes = {};
+    for (const [field, value] of Object.entries(settings)) {
+      if (!isDeepStrictEqual(target[field], value)) {
+        changes[field] = { from: target[field] === undefined ? null : target[field], to: value };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      plan.update.push({ id: target.id, name: target.name, changes });
+    } else {
+      plan.unchanged.push({ id: target.id, name: target.name });
+    }
+  });
+
+  if (mode === 'replace') {
+    for (const profile of existing.filter(profile => !matched.has(profile.id))) {
+      plan.delete.push({ id: profile.id, name: profile.name });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ProfileImportError('Import is invalid', errors);
+  }
+
+  return plan;
+}
+
+/**
+ * Carry out a plan from planImport()
+ */
+function applyImport(profileManager, plan) {
+  for (const entry of plan.create) {
+    const profile = profileManager.createProfile(entry.settings, entry.id || undefined);
+    entry.id = profile.id;
+  }
+
+  for (const entry of plan.update) {
+    const updates = Object.fromEntries(Object.entries(entry.changes).map(([field, change]) => [field, change.to]));
+    profileManager.updateProfile(entry.id, updates);
+  }
+
+  for (const entry of plan.delete) {
+    profileManager.deleteProfile(entry.id);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  MODES,
+  ProfileImportError,
+  exportProfiles,
+  serialize,
+  normalizeDocument,
+  parse,
+  loadFile,
+  planImport,
+  applyImport
+};
@@ -6,11 +6,40 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const CronExpression = require('./cron');
+const { ALGORITHMS: DITHER_ALGORITHMS, DEFAULT_ALGORITHM: DEFAULT_DITHER } = require('./dither');
+const waitStrategies = require('./wait-strategies');
+const kiosk = require('./kiosk');
+const pageInjection = require('./page-injection');
+const imagePipeline = require('./image-pipeline');
+const retention = require('./retention');
+const haTriggers = require('./ha-triggers');
+const logger = require('./logger');
+
+// Profile settings that can be changed after creation (and are exported)
+const EDITABLE_FIELDS = [
+  'name', 'url', 'width', 'height', 'theme',
+  'refreshInterval', 'schedule', 'outputFormat', 'dither', 'waitFor',
+  'viewportWidth', 'viewportHeight', 'hideHeader', 'hideSidebar', 'crop',
+  'customCss', 'initScript', 'postProcess', 'changeThreshold', 'retention',
+  'triggers', 'enabled', 'description'
+];
 
-class ProfileManager {
-  constructor(dataPath = '/data') {
+/**
+ * Emits 'create', 'update' and 'delete' (profile) on changes, and 'capture' (profile, details)
+ * after every recorded capture
+ */
+class ProfileManager extends EventEmitter {
+  constructor(dataPath = '/data', options = {}) {
+    super();
     this.dataPath = dataPath;
     this.profilesPath = path.join(dataPath, 'profiles.json');
+    this.log = logger.child('ProfileManager');
+
+    // Refresh interval for new profiles that don't set one; 0 keeps them manual
+    // (screenshot_interval when the schedule_new_profiles add-on option is on)
+    this.defaultRefreshInterval = options.defaultRefreshInterval || 0;
     this.profiles = {};
 
     this.loadProfiles();
@@ -21,13 +50,19 @@ class ProfileManager {
       if (fs.existsSync(this.profilesPath)) {
         const data = fs.readFileSync(this.profilesPath, 'utf8');
         this.profiles = JSON.parse(data);
-        console.log(`[ProfileManager] Loaded ${Object.keys(this.profiles).length} profiles`);
+        // Earlier versions accepted `postProcess: null`, which breaks captures
+        for (const profile of Object.values(this.profiles)) {
+          if (profile.postProcess === null) {
+            profile.postProcess = [];
+          }
+        }
+        this.log.info(`Loaded ${Object.keys(this.profiles).length} profiles`);
       } else {
         this.profiles = {};
         this.saveProfiles();
       }
     } catch (error) {
-      console.error('[ProfileManager] Failed to load profiles:', error.message);
+      this.log.error('Failed to load profiles:', error.message);
       this.profiles = {};
     }
   }
@@ -36,16 +71,19 @@ class ProfileManager {
     try {
       fs.writeFileSync(this.profilesPath, JSON.stringify(this.profiles, null, 2), 'utf8');
     } catch (error) {
-      console.error('[ProfileManager] Failed to save profiles:', error.message);
+      this.log.error('Failed to save profiles:', error.message);
       throw error;
     }
   }
 
   /**
    * Create a new capture profile
+   * `id` is only given by imports that name their profiles; otherwise a random id is used
    */
-  createProfile(config = {}) {
-    const id = crypto.randomBytes(8).toString('hex');
+  createProfile(config = {}, id = crypto.randomBytes(8).toString('hex')) {
+    if (this.profiles[id]) {
+      throw new Error(`Profile already exists: ${id}`);
+    }
 
     const profile = {
       id,
@@ -54,8 +92,22 @@ class ProfileManager {
       width: config.width || 800,
       height: config.height || 480,
       theme: config.theme || 'light',
-      refreshInterval: config.refreshInterval || 0,
+      refreshInterval: config.refreshInterval !== undefined ? config.refreshInterval : this.defaultRefreshInterval,
+      schedule: config.schedule || '',
       outputFormat: config.outputFormat || 'png',
+      dither: config.dither || DEFAULT_DITHER,
+      waitFor: config.waitFor || null,
+      viewportWidth: config.viewportWidth || null,
+      viewportHeight: config.viewportHeight || null,
+      hideHeader: config.hideHeader || false,
+      hideSidebar: config.hideSidebar || false,
+      crop: config.crop || null,
+      customCss: config.customCss || '',
+      initScript: config.initScript || '',
+      postProcess: config.postProcess || [],
+      changeThreshold: config.changeThreshold || 0,
+      retention: config.retention || null,
+      triggers: config.triggers || null,
       enabled: config.enabled !== false,
       description: config.description || '',
       created: new Date().toISOString(),
@@ -67,6 +119,7 @@ class ProfileManager {
     this.profiles[id] = profile;
     this.saveProfiles();
 
+    this.emit('create', profile);
     return profile;
   }
 
@@ -81,12 +134,7 @@ class ProfileManager {
     const profile = this.profiles[id];
 
     // Only allow updating specific fields
-    const allowedFields = [
-      'name', 'url', 'width', 'height', 'theme',
-      'refreshInterval', 'outputFormat', 'enabled', 'description'
-    ];
-
-    for (const field of allowedFields) {
+    for (const field of EDITABLE_FIELDS) {
       if (field in updates) {
         profile[field] = updates[field];
       }
@@ -95,6 +143,7 @@ class ProfileManager {
     profile.modified = new Date().toISOString();
 
     this.saveProfiles();
+    this.emit('update', profile);
     return profile;
   }
 
@@ -106,8 +155,11 @@ class ProfileManager {
       return false;
     }
 
+    const profile = this.profiles[id];
     delete this.profiles[id];
     this.saveProfiles();
+
+    this.emit('delete', profile);
     return true;
   }
 
@@ -134,7 +186,7 @@ class ProfileManager {
   /**
    * Record a capture attempt
    */
-  recordCapture(id, success = true, error = null) {
+  recordCapture(id, success = true, error = null, details = {}) {
     if (!this.profiles[id]) {
       return;
     }
@@ -145,30 +197,86 @@ class ProfileManager {
     if (success) {
       profile.lastSuccess = new Date().toISOString();
       profile.failureCount = 0;
+      profile.lastError = null;
+
+      if (details.filename) {
+        profile.lastScreenshot = details.filename;
+      }
+
+      if (details.contentHash) {
+        profile.lastContentHash = details.contentHash;
+        profile.lastPerceptualHash = details.perceptualHash || null;
+      }
+
+      profile.lastCaptureChanged = details.changed !== false;
+      if (profile.lastCaptureChanged) {
+        profile.lastChanged = profile.lastSuccess;
+      }
     } else {
       profile.failureCount = (profile.failureCount || 0) + 1;
+      profile.lastError = error;
     }
 
     this.saveProfiles();
+    this.emit('capture', profile, details);
   }
 
   /**
-   * Get profiles that need to be captured based on refresh interval
+   * Record a run that was cancelled, so the schedule moves on without counting a success or failure
+   */
+  recordSkippedRun(id) {
+    if (!this.profiles[id]) {
+      return;
+    }
+
+    this.profiles[id].lastRun = new Date().toISOString();
+    this.saveProfiles();
+  }
+
+  /**
+   * Get the next planned capture time for a profile
+   * A cron schedule takes precedence over refreshInterval; returns null for manual-only profiles
+   */
+  getNextRun(profile) {
+    if (!profile.enabled) {
+      return null;
+    }
+
+    const lastRun = profile.lastRun ? new Date(profile.lastRun) : null;
+
+    if (profile.schedule) {
+      try {
+        const cron = new CronExpression(profile.schedule);
+        return cron.next(lastRun || new Date(profile.created || Date.now()));
+      } catch (error) {
+        this.log.with({ profile: profile.id }).error('Invalid schedule:', error.message);
+        return null;
+      }
+    }
+
+    if (!profile.refreshInterval || profile.refreshInterval <= 0) {
+      return null;
+    }
+
+    // Profiles that have never run are due immediately
+    if (!lastRun) {
+      return new Date(profile.created || 0);
+    }
+
+    return new Date(lastRun.getTime() + profile.refreshInterval * 1000);
+  }
+
+  /**
+   * Get profiles that need to be captured based on schedule or refresh interval
    */
   getProfilesToCapture() {
     const now = new Date().getTime();
     const toCapture = [];
 
     for (const profile of Object.values(this.profiles)) {
-      if (!profile.enabled || profile.refreshInterval <= 0) {
-        continue;
-      }
+      const nextRun = this.getNextRun(profile);
 
-      const intervalMs = profile.refreshInterval * 1000;
-      const lastRun = profile.lastRun ? new Date(profile.lastRun).getTime() : 0;
-      const nextRun = lastRun + intervalMs;
-
-      if (now >= nextRun) {
+      if (nextRun && now >= nextRun.getTime()) {
         toCapture.push(profile);
       }
     }
@@ -206,10 +314,29 @@ class ProfileManager {
       errors.push('Refresh interval must be a non-negative number');
     }
 
+    if (config.schedule && (typeof config.schedule !== 'string' || !CronExpression.isValid(config.schedule))) {
+      errors.push('Schedule must be a valid cron expression (minute hour day month weekday)');
+    }
+
     if (config.outputFormat && !['png', 'jpeg', 'bmp3', 'bmp'].includes(config.outputFormat)) {
       errors.push('Output format must be one of: png, jpeg, bmp3, bmp');
     }
 
+    if (config.dither && !DITHER_ALGORITHMS.includes(config.dither)) {
+      errors.push(`Dither must be one of: ${DITHER_ALGORITHMS.join(', ')}`);
+    }
+
+    errors.push(...waitStrategies.validate(config.waitFor));
+    errors.push(...kiosk.validate(config));
+    errors.push(...pageInjection.validate(config));
+    errors.push(...imagePipeline.validate(config.postProcess));
+    errors.push(...retention.validate(config.retention));
+    errors.push(...haTriggers.validate(config.triggers));
+
+    if (config.changeThreshold && (typeof config.changeThreshold !== 'number' || config.changeThreshold < 0 || config.changeThreshold > 100)) {
+      errors.push('Change threshold must be a percentage between 0 and 100');
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -218,3 +345,4 @@ class ProfileManager {
 }
 
 module.exports = ProfileManager;
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
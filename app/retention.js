@@ -0,0 +1,244 @@
+/**
+ * Retention
+ * Decides which screenshot files to delete and enforces that on a timer
+ */
+
+const logger = require('./logger');
+
+// Nothing is deleted until a limit is configured
+const DEFAULT_POLICY = {
+  keepLast: 0,
+  maxAgeHours: 0,
+  maxTotalMB: 0,
+  keepLatest: true
+};
+
+const LIMIT_FIELDS = ['keepLast', 'maxAgeHours', 'maxTotalMB'];
+
+const MB = 1024 * 1024;
+
+/**
+ * Combine the global policy with a profile's overrides
+ * Settings that are missing or null inherit the global value (or the default)
+ */
+function resolvePolicy(globalPolicy, overrides) {
+  const policy = { ...DEFAULT_POLICY };
+
+  for (const source of [globalPolicy, overrides]) {
+    for (const [field, value] of Object.entries(source || {})) {
+      if (field in DEFAULT_POLICY && value !== undefined && value !== null) {
+        policy[field] = value;
+      }
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Work out which indexed screenshots a policy would delete
+ * `entries` are screenshot index entries; `profiles` are all capture profiles.
+ * Each profile is checked against its own policy, files without a profile against
+ * the global one, and the global size limit is applied to everything that is left.
+ */
+function planCleanup(entries, options = {}) {
+  const { globalPolicy = {}, profiles = [], now = Date.now() } = options;
+  const globalResolved = resolvePolicy(globalPolicy);
+  const profilesById = new Map(profiles.map(profile => [profile.id, profile]));
+
+  // The image each profile currently serves must never go away
+  const latest = new Set(profiles.map(profile => profile.lastScreenshot).filter(Boolean));
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = profilesById.has(entry.profileId) ? entry.profileId : null;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  const deletions = new Map();
+  const remove = (entry, reason) => {
+    if (!deletions.has(entry.filename)) {
+      deletions.set(entry.filename, { filename: entry.filename, profileId: entry.profileId, size: entry.size, created: entry.created, reason });
+    }
+  };
+
+  // Files of deleted profiles and ad-hoc captures have no latest to keep
+  const isProtected = (entry, policy, profileId, position) => policy.keepLatest &&
+    (latest.has(entry.filename) || (profileId !== null && position === 0));
+  const kept = new Set();
+
+  for (const [profileId, group] of groups) {
+    const policy = profileId ? resolvePolicy(globalPolicy, profilesById.get(profileId).retention) : globalResolved;
+    const newestFirst = [...group].sort((a, b) => b.created.localeCompare(a.created));
+    let bytes = 0;
+
+    newestFirst.forEach((entry, position) => {
+      if (isProtected(entry, policy, profileId, position)) {
+        kept.add(entry.filename);
+        bytes += entry.size;
+        return;
+      }
+
+      if (policy.keepLast && position >= policy.keepLast) {
+        remove(entry, `beyond the last ${policy.keepLast} screenshots`);
+      } else if (policy.maxAgeHours && now - new Date(entry.created).getTime() > policy.maxAgeHours * 60 * 60 * 1000) {
+        remove(entry, `older than ${policy.maxAgeHours} hours`);
+      } else if (policy.maxTotalMB && bytes + entry.size > policy.maxTotalMB * MB) {
+        remove(entry, `over the ${policy.maxTotalMB} MB limit`);
+      } else {
+        bytes += entry.size;
+      }
+    });
+  }
+
+  // The global size limit covers every file, oldest deleted first
+  if (globalResolved.maxTotalMB) {
+    const remaining = entries
+      .filter(entry => !deletions.has(entry.filename))
+      .sort((a, b) => b.created.localeCompare(a.created));
+    let bytes = remaining.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (let i = remaining.length - 1; i >= 0 && bytes > globalResolved.maxTotalMB * MB; i--) {
+      const entry = remaining[i];
+      if (kept.has(entry.filename)) {
+        continue;
+      }
+
+      remove(entry, `over the global ${globalResolved.maxTotalMB} MB limit`);
+      bytes -= entry.size;
+    }
+  }
+
+  const deleted = [...deletions.values()];
+  return {
+    deleted,
+    kept: entries.length - deleted.length,
+    protected: kept.size,
+    freedBytes: deleted.reduce((sum, entry) => sum + entry.size, 0)
+  };
+}
+
+/**
+ * Validate a retention policy (global or a profile's overrides)
+ */
+function validate(policy) {
+  const errors = [];
+
+  if (policy === undefined || policy === null) {
+    return errors;
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Retention must be an object'];
+  }
+
+  for (const field of Object.keys(policy)) {
+    if (!(field in DEFAULT_POLICY)) {
+      errors.push(`Unknown retention setting: ${field}`);
+    }
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = policy[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value >= 0))) {
+      errors.push(`Retention ${field} must be a non-negative number or null (0 disables the limit)`);
+    }
+  }
+
+  if (policy.keepLast && !Number.isInteger(policy.keepLast)) {
+    errors.push('Retention keepLast must be a whole number');
+  }
+
+  if (policy.keepLatest !== undefined && policy.keepLatest !== null && typeof policy.keepLatest !== 'boolean') {
+    errors.push('Retention keepLatest must be a boolean');
+  }
+
+  return errors;
+}
+
+class RetentionManager {
+  constructor(options = {}) {
+    this.log = logger.child('Retention');
+    this.screenshotService = options.screenshotService;
+    this.screenshotIndex = options.screenshotIndex;
+    this.profileManager = options.profileManager;
+    this.policy = resolvePolicy(options.policy);
+    this.interval = options.interval || 60 * 60 * 1000;
+
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.enforce(), this.interval);
+    this.timer.unref();
+    this.enforce();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * What the policies would delete right now
+   */
+  plan() {
+    return planCleanup(this.screenshotIndex.getAll(), {
+      globalPolicy: this.policy,
+      profiles: this.profileManager.getAllProfiles()
+    });
+  }
+
+  /**
+   * Delete everything the policies don't keep
+   */
+  enforce() {
+    try {
+      const plan = this.plan();
+      let deleted = 0;
+      let freedBytes = 0;
+
+      for (const entry of plan.deleted) {
+        if (this.screenshotService.deleteScreenshot(entry.filename)) {
+          deleted++;
+          freedBytes += entry.size;
+        } else {
+          // The file is already gone; drop its stale index entry
+          this.screenshotIndex.remove(entry.filename);
+        }
+      }
+
+      if (deleted > 0) {
+        this.log.info(`Deleted ${deleted} screenshots (${(freedBytes / MB).toFixed(1)} MB)`);
+      }
+
+      this.lastRun = { timestamp: new Date().toISOString(), deleted, freedBytes };
+      return this.lastRun;
+    } catch (error) {
+      this.log.error('Cleanup failed:', error.message);
+      this.lastRun = { timestamp: new Date().toISOString(), error: error.message };
+      return this.lastRun;
+    }
+  }
+
+  getSummary() {
+    const entries = this.screenshotIndex.getAll();
+
+    return {
+      policy: this.policy,
+      files: entries.length,
+      totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = RetentionManager;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.resolvePolicy = resolvePolicy;
+module.exports.planCleanup = planCleanup;
+module.exports.validate = validate;
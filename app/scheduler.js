@@ -0,0 +1,97 @@
+/**
+ * Capture Scheduler
+ * Periodically captures profiles that are due according to their schedule
+ */
+
+const logger = require('./logger');
+
+class CaptureScheduler {
+  constructor(options = {}) {
+    this.profileManager = options.profileManager;
+    this.captureProfile = options.captureProfile;
+    // The capture queue coalesces by profile; this only skips profiles it already holds
+    this.isCapturing = options.isCapturing || (() => false);
+    this.tickInterval = options.tickInterval || 5000;
+    this.log = logger.child('Scheduler');
+
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.log.info(`Started (checking every ${this.tickInterval / 1000}s)`);
+
+    // Catch up on anything that became due while the addon was stopped
+    this.tick();
+  }
+
+  /**
+   * Stop scheduling; the capture queue finishes running captures
+   */
+  async stop() {
+    this.stopped = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.log.info('Stopped');
+  }
+
+  /**
+   * Capture every due profile that is not already queued or being captured
+   */
+  tick() {
+    if (this.stopped) {
+      return;
+    }
+
+    let due;
+    try {
+      due = this.profileManager.getProfilesToCapture();
+    } catch (error) {
+      this.log.error('Failed to determine due profiles:', error.message);
+      return;
+    }
+
+    for (const profile of due) {
+      if (this.isCapturing(profile.id)) {
+        continue;
+      }
+
+      const log = this.log.with({ profile: profile.id });
+      log.info(`Capturing profile ${profile.id} (${profile.name})`);
+
+      Promise.resolve()
+        .then(() => this.captureProfile(profile))
+        .then(result => {
+          if (result && !result.success) {
+            log.error(`Capture of ${profile.id} failed:`, result.error);
+          }
+        })
+        .catch(error => {
+          log.error(`Capture of ${profile.id} failed:`, error.message);
+        });
+    }
+  }
+
+  /**
+   * Get the next planned run for a profile, or null when it is manual-only
+   */
+  getNextRun(profile) {
+    if (this.stopped) {
+      return null;
+    }
+
+    return this.profileManager.getNextRun(profile);
+  }
+}
+
+module.exports = CaptureScheduler;
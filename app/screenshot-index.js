@@ -0,0 +1,203 @@
+/**
+ * Screenshot Index
+ * Persistent metadata for captured screenshot files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Map format aliases to one name so filters match either spelling
+ */
+function normalizeFormat(format) {
+  const value = String(format || '').toLowerCase();
+
+  if (value === 'bmp3') {
+    return 'bmp';
+  }
+
+  if (value === 'jpg') {
+    return 'jpeg';
+  }
+
+  return value;
+}
+
+class ScreenshotIndex {
+  constructor(dataPath = '/data') {
+    this.log = logger.child('ScreenshotIndex');
+    this.dataPath = dataPath;
+    this.indexPath = path.join(dataPath, 'screenshot-index.json');
+    this.entries = {};
+
+    this.loadIndex();
+  }
+
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const data = fs.readFileSync(this.indexPath, 'utf8');
+        this.entries = JSON.parse(data);
+        this.log.info(`Loaded ${Object.keys(this.entries).length} entries`);
+      } else {
+        this.entries = {};
+        this.saveIndex();
+      }
+    } catch (error) {
+      this.log.error('Failed to load index:', error.message);
+      this.entries = {};
+    }
+  }
+
+  saveIndex() {
+    try {
+      fs.writeFileSync(this.indexPath, JSON.stringify(this.entries, null, 2), 'utf8');
+    } catch (error) {
+      this.log.error('Failed to save index:', error.message);
+    }
+  }
+
+  /**
+   * Record metadata for a newly written file
+   */
+  add(metadata) {
+    const entry = {
+      filename: metadata.filename,
+      profileId: metadata.profileId || null,
+      sourceUrl: metadata.sourceUrl || null,
+      width: metadata.width || null,
+      height: metadata.height || null,
+      format: metadata.format || null,
+      size: metadata.size || 0,
+      contentHash: metadata.contentHash || null,
+      perceptualHash: metadata.perceptualHash || null,
+      duration: metadata.duration !== undefined ? metadata.duration : null,
+      created: metadata.created || new Date().toISOString()
+    };
+
+    this.entries[entry.filename] = entry;
+    this.saveIndex();
+    return entry;
+  }
+
+  /**
+   * Forget one or more files
+   */
+  remove(...filenames) {
+    let removed = 0;
+
+    for (const filename of filenames) {
+      if (this.entries[filename]) {
+        delete this.entries[filename];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.saveIndex();
+    }
+
+    return removed;
+  }
+
+  get(filename) {
+    return this.entries[filename] || null;
+  }
+
+  /**
+   * Get all entries, newest first
+   */
+  getAll() {
+    return Object.values(this.entries).sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  /**
+   * Filter and paginate entries, newest first
+   * `since` is a date string or timestamp; only files created at or after it are returned
+   */
+  query(filter = {}) {
+    const limit = Math.min(Math.max(parseInt(filter.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filter.offset) || 0, 0);
+    const format = filter.format ? normalizeFormat(filter.format) : null;
+
+    let since = null;
+    if (filter.since !== undefined && filter.since !== null && filter.since !== '') {
+      since = new Date(/^\d+$/.test(String(filter.since)) ? Number(filter.since) : filter.since);
+      if (isNaN(since.getTime())) {
+        throw new Error(`Invalid since value: ${filter.since}`);
+      }
+    }
+
+    const matches = this.getAll()
+      .filter(entry => !filter.profileId || entry.profileId === filter.profileId)
+      .filter(entry => !format || normalizeFormat(entry.format) === format)
+      .filter(entry => !since || new Date(entry.created) >= since);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Bring the index in line with the screenshot directory
+   * Entries for missing files are dropped; files without an entry get one from the file itself
+   */
+  reconcile(screenshotPath) {
+    let files = [];
+    try {
+      files = fs.readdirSync(screenshotPath).filter(f => f.startsWith('screenshot-'));
+    } catch (error) {
+      this.log.error('Failed to read screenshot directory:', error.message);
+      return;
+    }
+
+    const present = new Set(files);
+    const missing = Object.keys(this.entries).filter(filename => !present.has(filename));
+    let added = 0;
+
+    for (const filename of files) {
+      if (this.entries[filename]) {
+        continue;
+      }
+
+      try {
+        const stats = fs.statSync(path.join(screenshotPath, filename));
+        this.entries[filename] = {
+          filename,
+          profileId: null,
+          sourceUrl: null,
+          width: null,
+          height: null,
+          format: normalizeFormat(path.extname(filename).slice(1)),
+          size: stats.size,
+          contentHash: null,
+          perceptualHash: null,
+          duration: null,
+          created: stats.mtime.toISOString()
+        };
+        added++;
+      } catch (error) {
+        this.log.error(`Failed to index ${filename}:`, error.message);
+      }
+    }
+
+    for (const filename of missing) {
+      delete this.entries[filename];
+    }
+
+    if (added > 0 || missing.length > 0) {
+      this.saveIndex();
+      this.log.info(`Reconciled: ${added} added, ${missing.length} removed`);
+    }
+  }
+}
+
+module.exports = ScreenshotIndex;
+module.exports.normalizeFormat = normalizeFormat;
@@ -8,26 +8,45 @@ const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const bmpEncoder = require('./bmp-encoder');
+const { dither, DEFAULT_ALGORITHM } = require('./dither');
+const { waitForReady } = require('./wait-strategies');
+const kiosk = require('./kiosk');
+const pageInjection = require('./page-injection');
+const imagePipeline = require('./image-pipeline');
+const imageHash = require('./image-hash');
+const PagePool = require('./page-pool');
+const BrowserSupervisor = require('./browser-supervisor');
+const { UrlNotAllowedError } = require('./url-policy');
+const logger = require('./logger');
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.bmp': 'image/bmp'
+};
 
 class ScreenshotService {
   constructor(options = {}) {
-    this.browser = null;
     this.options = {
+      ...options,
       screenshotPath: options.screenshotPath || '/data/screenshots',
       timeout: options.timeout || 30000,
       imageQuality: options.imageQuality || 90,
-      maxConcurrent: options.maxConcurrent || 3,
-      ...options
+      maxConcurrent: options.maxConcurrent || 3
     };
 
+    this.log = logger.child('ScreenshotService');
+
+    // Concurrency is limited by the job queue; this only counts open captures
     this.activeCaptures = 0;
-    this.captureQueue = [];
-  }
 
-  async initialize() {
-    try {
-      console.log('[ScreenshotService] Initializing Playwright browser...');
-      this.browser = await chromium.launch({
+    // Warm pages are reused between captures with the same page setup
+    this.pagePool = new PagePool(this.options.pool);
+
+    this.supervisor = new BrowserSupervisor({
+      launch: () => chromium.launch({
         headless: true,
         args: [
           '--no-sandbox',
@@ -37,20 +56,47 @@ class ScreenshotService {
           '--disable-software-rasterizer',
           '--disable-extensions'
         ]
-      });
-      console.log('[ScreenshotService] Browser initialized successfully');
-      return true;
-    } catch (error) {
-      console.error('[ScreenshotService] Failed to initialize browser:', error.message);
-      return false;
+      })
+    });
+
+    // Pooled pages belong to the crashed browser
+    this.supervisor.on('crash', () => this.pagePool.clear());
+  }
+
+  /**
+   * The running browser, or null while it is (re)starting
+   */
+  get browser() {
+    return this.supervisor.browser;
+  }
+
+  /**
+   * Launch the browser
+   * When the first launch fails, the supervisor keeps retrying in the background
+   */
+  async initialize() {
+    this.log.info('Initializing Playwright browser...');
+    const ready = await this.supervisor.start();
+
+    if (ready) {
+      this.log.info('Browser initialized successfully');
+    } else {
+      this.log.error('Failed to initialize browser, retrying in the background');
     }
+
+    return ready;
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await this.pagePool.close();
+    await this.supervisor.stop();
+  }
+
+  /**
+   * Browser status for health reporting
+   */
+  getBrowserStatus() {
+    return this.supervisor.getStatus();
   }
 
   /**
@@ -62,130 +108,431 @@ class ScreenshotService {
       width = 800,
       height = 480,
       theme = 'light',
-      haToken = null,
-      outputFormat = 'png'
+      outputFormat = 'png',
+      dither: ditherAlgorithm = DEFAULT_ALGORITHM,
+      waitFor = null,
+      viewportWidth = null,
+      viewportHeight = null,
+      hideHeader = false,
+      hideSidebar = false,
+      crop = null,
+      customCss = '',
+      initScript = '',
+      postProcess = [],
+      previousCapture = null,
+      changeThreshold = 0,
+      profileId = null,
+      jobId = null,
+      signal: jobSignal = null
     } = options;
 
-    if (!this.browser) {
+    const log = this.log.with({ profile: profileId, job: jobId });
+
+    const startedAt = Date.now();
+
+    if (!this.supervisor.isReady()) {
+      const error = this.supervisor.unavailableError();
+      log.warn('Capture skipped:', error.message);
       return {
         success: false,
-        error: 'Browser not initialized'
+        error: error.message,
+        code: error.code
       };
     }
 
-    // Wait for available slot if at max concurrent
-    while (this.activeCaptures >= this.options.maxConcurrent) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    // A browser crash aborts the capture just like a cancelled or timed out job
+    const signal = jobSignal ? AbortSignal.any([jobSignal, this.supervisor.signal]) : this.supervisor.signal;
+
+    if (signal.aborted) {
+      return {
+        success: false,
+        error: 'Capture aborted before it started'
+      };
     }
 
     this.activeCaptures++;
+    let lease = null;
+    let healthy = false;
+
+    // Milliseconds spent in each phase, reported as `timings`
+    const timings = {};
+    let phaseStart = Date.now();
+    const endPhase = phase => {
+      const now = Date.now();
+      timings[phase] = now - phaseStart;
+      phaseStart = now;
+    };
+
+    // Closing the context makes any pending Playwright call reject, ending the capture
+    const onAbort = () => {
+      if (lease) {
+        lease.context.close().catch(() => {});
+      }
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
 
     try {
-      const context = await this.browser.createBrowserContext();
-      const page = await context.newPage();
+      // Profiles are checked when saved; DNS and the policy may have changed since
+      if (this.options.urlPolicy) {
+        await this.options.urlPolicy.assertAllowed(url);
+      }
 
-      // Set viewport
-      await page.setViewportSize({ width, height });
+      // width x height is the final image; rotations in the pipeline swap the capture size
+      const source = imagePipeline.getSourceSize(postProcess, width, height);
+
+      const contextOptions = {
+        url,
+        viewport: { width: viewportWidth || source.width, height: viewportHeight || source.height },
+        theme,
+        hideHeader,
+        hideSidebar,
+        customCss,
+        initScript
+      };
 
-      // Apply theme
-      if (theme === 'dark') {
-        await page.emulateMedia({ colorScheme: 'dark' });
+      lease = await this.pagePool.acquire(this.getPoolKey(contextOptions), () => this.createPage(contextOptions));
+      const { page } = lease;
+
+      if (signal.aborted) {
+        throw signal.reason || new Error('Capture aborted');
       }
 
-      // Add auth header if token provided
-      if (haToken) {
-        await page.setExtraHTTPHeaders({
-          'Authorization': `Bearer ${haToken}`
-        });
+      await this.loadPage(page, url, { waitFor, reused: lease.reused });
+
+      // A redirect must not take the capture somewhere the policy forbids
+      if (this.options.urlPolicy) {
+        const reason = this.options.urlPolicy.checkSync(page.url());
+        if (reason) {
+          throw new UrlNotAllowedError(`Page redirected to a URL that is not allowed: ${reason}`);
+        }
       }
+      endPhase('navigate');
 
-      // Navigate to URL
-      await page.goto(url, {
-        waitUntil: 'networkidle',
-        timeout: this.options.timeout
-      });
+      // Check for the login page first so a failed login isn't reported as a wait timeout
+      if (this.options.auth) {
+        await this.options.auth.assertAuthenticated(page);
+      }
 
-      // Wait for page to stabilize
-      await page.waitForTimeout(1000);
+      await waitForReady(page, waitFor);
+
+      await kiosk.hideChrome(page, { hideHeader, hideSidebar });
+      await pageInjection.applyToPage(page, { customCss });
+      endPhase('wait');
+
+      // Capture screenshot, clipped to the crop region if one is set
+      const clip = await kiosk.resolveClip(page, crop);
+      let screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false, clip });
+      endPhase('screenshot');
+
+      screenshotBuffer = await this.scaleToSize(screenshotBuffer, source.width, source.height, (crop && crop.fit) || 'contain');
 
-      // Capture screenshot
-      const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
+      // Post-processing is shared by every output format
+      screenshotBuffer = await imagePipeline.applyPipeline(screenshotBuffer, postProcess);
 
       // Process image if needed
       let finalBuffer = screenshotBuffer;
       if (outputFormat === 'bmp3' || outputFormat === 'bmp') {
-        finalBuffer = await this.convertToBMP3(screenshotBuffer);
+        finalBuffer = await this.convertToBMP3(screenshotBuffer, ditherAlgorithm);
       } else if (outputFormat === 'jpeg') {
         finalBuffer = await sharp(screenshotBuffer)
           .jpeg({ quality: this.options.imageQuality })
           .toBuffer();
       }
 
+      // Skip writing when the device image matches the previous capture
+      const hashes = {
+        contentHash: imageHash.contentHash(finalBuffer),
+        perceptualHash: await imageHash.perceptualHash(finalBuffer)
+      };
+      const comparison = await this.compareWithPrevious(finalBuffer, hashes.contentHash, previousCapture, changeThreshold);
+      comparison.perceptualDistance = previousCapture && previousCapture.perceptualHash
+        ? imageHash.hammingDistance(previousCapture.perceptualHash, hashes.perceptualHash)
+        : null;
+      endPhase('convert');
+
+      if (!comparison.changed) {
+        const previous = this.getScreenshotInfo(previousCapture.filename);
+        healthy = true;
+        return {
+          success: true,
+          changed: false,
+          difference: comparison.difference,
+          perceptualDistance: comparison.perceptualDistance,
+          filename: previous.filename,
+          filepath: previous.filepath,
+          size: previous.size,
+          width: width,
+          height: height,
+          format: outputFormat,
+          ...hashes,
+          duration: Date.now() - startedAt,
+          timings,
+          timestamp: new Date().toISOString()
+        };
+      }
+
       // Generate filename
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const hash = crypto.randomBytes(4).toString('hex');
       const filename = `screenshot-${timestamp}-${hash}.${outputFormat === 'bmp3' ? 'bmp' : outputFormat}`;
       const filepath = path.join(this.options.screenshotPath, filename);
 
+      // Don't write a file for a job that was cancelled or timed out meanwhile
+      if (signal.aborted) {
+        throw signal.reason || new Error('Capture aborted');
+      }
+
       // Save to disk
       fs.writeFileSync(filepath, finalBuffer);
-
-      // Cleanup
-      await page.close();
-      await context.close();
+      healthy = true;
+
+      const duration = Date.now() - startedAt;
+      const created = new Date().toISOString();
+
+      if (this.options.index) {
+        this.options.index.add({
+          filename,
+          profileId,
+          sourceUrl: url,
+          width,
+          height,
+          format: outputFormat,
+          size: finalBuffer.length,
+          ...hashes,
+          duration,
+          created
+        });
+      }
+      endPhase('write');
 
       return {
         success: true,
+        changed: true,
+        difference: comparison.difference,
+        perceptualDistance: comparison.perceptualDistance,
         filename: filename,
         filepath: filepath,
         size: finalBuffer.length,
         width: width,
         height: height,
         format: outputFormat,
-        timestamp: new Date().toISOString()
+        ...hashes,
+        duration,
+        timings,
+        timestamp: created
       };
     } catch (error) {
-      console.error('[ScreenshotService] Capture failed:', error.message);
+      const reason = signal.aborted && signal.reason ? signal.reason : error;
+      log.error('Capture failed:', reason.message);
       return {
         success: false,
-        error: error.message
+        error: reason.message,
+        ...(reason.code ? { code: reason.code } : {})
       };
     } finally {
+      signal.removeEventListener('abort', onAbort);
+      // Failed or aborted pages may be in any state, so only healthy pages go back to the pool
+      if (lease) {
+        await this.pagePool.release(lease, healthy && !signal.aborted);
+      }
       this.activeCaptures--;
     }
   }
 
+  /**
+   * Pool key for a page setup: pages can be shared by captures whose context
+   * options, init scripts and injected styles are identical (same origin, viewport,
+   * theme, kiosk settings and injections)
+   */
+  getPoolKey(options) {
+    let origin;
+    try {
+      origin = new URL(options.url).origin;
+    } catch (error) {
+      return null;
+    }
+
+    return crypto.createHash('sha1').update(JSON.stringify({
+      origin,
+      viewport: options.viewport,
+      theme: options.theme,
+      hideHeader: options.hideHeader,
+      hideSidebar: options.hideSidebar,
+      customCss: options.customCss,
+      initScript: options.initScript
+    })).digest('hex');
+  }
+
+  /**
+   * Open a new context and page with auth, kiosk and injection init scripts
+   */
+  async createPage(options) {
+    // Viewport and theme are set per context; the viewport defaults to the capture size
+    const context = await this.browser.newContext({
+      viewport: options.viewport,
+      colorScheme: options.theme === 'dark' ? 'dark' : 'light'
+    });
+
+    try {
+      // Requests to blocked hosts fail, even from inside an allowed page
+      if (this.options.urlPolicy) {
+        await this.options.urlPolicy.protectContext(context);
+      }
+
+      // Seed HA frontend settings and credentials for the configured HA origin only
+      // (the init script checks the origin again, so navigating elsewhere never exposes them)
+      if (this.options.auth && this.options.auth.isHomeAssistantUrl(options.url)) {
+        await this.options.auth.seedContext(context);
+
+        if (options.hideSidebar) {
+          await kiosk.seedHiddenSidebar(context, this.options.auth.origin);
+        }
+      }
+
+      // Custom stylesheet and init script run before any page script
+      await pageInjection.prepareContext(context, {
+        customCss: options.customCss,
+        initScript: options.initScript
+      });
+
+      const page = await context.newPage();
+      return { context, page };
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a page to the URL
+   * A reused page already at the URL gets a soft reload: the document is reloaded, which
+   * clears styles injected by the last capture, while the warm context keeps its session
+   * and serves the frontend bundle from cache
+   */
+  async loadPage(page, url, options = {}) {
+    const waitUntil = options.waitFor ? 'load' : 'networkidle';
+    const sameUrl = options.reused && page.url() === url;
+
+    if (sameUrl) {
+      await page.reload({ waitUntil, timeout: this.options.timeout });
+    } else {
+      // Explicit readiness conditions replace the network idle heuristic
+      await page.goto(url, { waitUntil, timeout: this.options.timeout });
+    }
+
+    if (!options.waitFor) {
+      // Wait for page to stabilize
+      await page.waitForTimeout(1000);
+    }
+  }
+
+  /**
+   * Page pool statistics for health reporting
+   */
+  getPoolStats() {
+    return this.pagePool.getStats();
+  }
+
+  /**
+   * Decide whether a new capture differs from the previous one
+   * Identical bytes never count as a change; with a threshold, captures where at most
+   * that percentage of pixels differ are treated as unchanged too
+   */
+  async compareWithPrevious(buffer, contentHash, previousCapture, changeThreshold = 0) {
+    const previous = previousCapture && previousCapture.filename
+      ? this.getScreenshotInfo(previousCapture.filename)
+      : null;
+
+    // Without the previous file on disk there is nothing to serve, so always write
+    if (!previous) {
+      return { changed: true, difference: null };
+    }
+
+    if (previousCapture.contentHash === contentHash) {
+      return { changed: false, difference: 0 };
+    }
+
+    if (changeThreshold > 0) {
+      try {
+        const difference = await imageHash.pixelDifference(buffer, fs.readFileSync(previous.filepath));
+        if (difference !== null) {
+          return { changed: difference > changeThreshold, difference };
+        }
+      } catch (error) {
+        this.log.error('Failed to compare with previous capture:', error.message);
+      }
+    }
+
+    return { changed: true, difference: null };
+  }
+
+  /**
+   * Scale an image to the target size unless it already matches
+   * `fit` is a sharp fit mode; letterboxing for "contain" is white
+   */
+  async scaleToSize(imageBuffer, width, height, fit = 'contain') {
+    const metadata = await sharp(imageBuffer).metadata();
+    if (metadata.width === width && metadata.height === height) {
+      return imageBuffer;
+    }
+
+    return sharp(imageBuffer)
+      .resize(width, height, { fit, background: '#ffffff' })
+      .png()
+      .toBuffer();
+  }
+
   /**
    * Convert PNG to BMP3 format for TRMNL devices
-   * Uses 1-bit monochrome or 2-bit grayscale
+   * Writes a 1-bit monochrome Windows BMP v3, dithered with the given algorithm (see dither.js)
    */
-  async convertToBMP3(pngBuffer, bitDepth = 1) {
+  async convertToBMP3(pngBuffer, algorithm = DEFAULT_ALGORITHM) {
     try {
-      let processed = sharp(pngBuffer).greyscale();
-
-      if (bitDepth === 1) {
-        // 1-bit monochrome with dithering
-        processed = processed
-          .threshold(128)
-          .png({
-            colors: 2,
-            dither: 1  // Floyd-Steinberg dithering
-          });
-      } else if (bitDepth === 2) {
-        // 2-bit grayscale (4 colors)
-        processed = processed
-          .png({
-            colors: 4
-          });
+      const { data, info } = await this.getGrayscalePixels(pngBuffer);
+
+      const pixels = dither(data, info.width, info.height, { algorithm, levels: 2 });
+      const bmp = bmpEncoder.encodeMonochrome(pixels, info.width, info.height);
+
+      const problems = bmpEncoder.verify(bmp, {
+        bitsPerPixel: 1,
+        palette: bmpEncoder.MONOCHROME_PALETTE,
+        width: info.width,
+        height: info.height
+      });
+      if (problems.length > 0) {
+        throw new Error(`Invalid BMP output: ${problems.join('; ')}`);
       }
 
-      return await processed.toBuffer();
+      return bmp;
     } catch (error) {
-      console.error('[ScreenshotService] BMP3 conversion failed:', error.message);
+      this.log.error('BMP3 conversion failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Decode an image to one 8-bit luminance byte per pixel
+   * Transparent areas are flattened onto white
+   */
+  async getGrayscalePixels(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    if (info.channels === 1) {
+      return { data, info };
+    }
+
+    const pixels = Buffer.alloc(info.width * info.height);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = data[i * info.channels];
+    }
+
+    return { data: pixels, info: { ...info, channels: 1 } };
+  }
+
   /**
    * Get list of captured screenshots
    */
@@ -213,7 +560,7 @@ class ScreenshotService {
 
       return files;
     } catch (error) {
-      console.error('[ScreenshotService] Failed to list screenshots:', error.message);
+      this.log.error('Failed to list screenshots:', error.message);
       return [];
     }
   }
@@ -237,74 +584,68 @@ class ScreenshotService {
   }
 
   /**
-   * Delete a screenshot
+   * Get file information for a screenshot without reading it
    */
-  deleteScreenshot(filename) {
+  getScreenshotInfo(filename) {
     const filepath = path.join(this.options.screenshotPath, filename);
 
     // Prevent directory traversal
     if (!filepath.startsWith(this.options.screenshotPath)) {
-      return false;
+      return null;
     }
 
     try {
-      if (fs.existsSync(filepath)) {
-        fs.unlinkSync(filepath);
-        return true;
-      }
+      const stats = fs.statSync(filepath);
+      return {
+        filename,
+        filepath,
+        size: stats.size,
+        modified: stats.mtime,
+        contentType: ScreenshotService.getContentType(filename)
+      };
     } catch (error) {
-      console.error('[ScreenshotService] Failed to delete screenshot:', error.message);
+      return null;
     }
-
-    return false;
   }
 
   /**
-   * Cleanup old screenshots
+   * Get the MIME type for a screenshot filename
    */
-  cleanupOldScreenshots(maxAgeHours = 24, maxCount = 50) {
-    try {
-      const files = fs.readdirSync(this.options.screenshotPath)
-        .filter(f => f.startsWith('screenshot-'))
-        .map(f => {
-          const filepath = path.join(this.options.screenshotPath, f);
-          const stats = fs.statSync(filepath);
-          return {
-            filename: f,
-            filepath: filepath,
-            modified: stats.mtime
-          };
-        })
-        .sort((a, b) => b.modified - a.modified);
-
-      const now = Date.now();
-      const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
+  static getContentType(filename) {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+  }
 
-      let deleted = 0;
+  /**
+   * Drop a deleted file from the metadata index
+   */
+  forget(filename) {
+    if (this.options.index) {
+      this.options.index.remove(filename);
+    }
+  }
 
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
+  /**
+   * Delete a screenshot
+   */
+  deleteScreenshot(filename) {
+    const filepath = path.join(this.options.screenshotPath, filename);
 
-        // Delete if older than max age or exceeds max count
-        if (i >= maxCount || now - file.modified.getTime() > maxAgeMs) {
-          try {
-            fs.unlinkSync(file.filepath);
-            deleted++;
-          } catch (err) {
-            console.error(`Failed to delete ${file.filename}:`, err.message);
-          }
-        }
-      }
+    // Prevent directory traversal
+    if (!filepath.startsWith(this.options.screenshotPath)) {
+      return false;
+    }
 
-      if (deleted > 0) {
-        console.log(`[ScreenshotService] Cleaned up ${deleted} old screenshots`);
+    try {
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+        this.forget(filename);
+        return true;
       }
-
-      return deleted;
     } catch (error) {
-      console.error('[ScreenshotService] Cleanup failed:', error.message);
-      return 0;
+      this.log.error('Failed to delete screenshot:', error.message);
     }
+
+    return false;
   }
 }
 
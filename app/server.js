@@ -7,8 +7,43 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const ScreenshotService = require('./screenshot-service');
 const ProfileManager = require('./profile-manager');
+const CaptureScheduler = require('./scheduler');
+const DeviceManager = require('./device-manager');
+const HomeAssistantAuth = require('./ha-auth');
+const waitStrategies = require('./wait-strategies');
+const CaptureQueue = require('./job-queue');
+const ScreenshotIndex = require('./screenshot-index');
+const RetentionManager = require('./retention');
+const addonOptions = require('./addon-options');
+const ApiKeyManager = require('./api-keys');
+const UrlPolicy = require('./url-policy');
+const HomeAssistantEntities = require('./ha-entities');
+const MqttBridge = require('./mqtt-bridge');
+const HomeAssistantTriggers = require('./ha-triggers');
+const Metrics = require('./metrics');
+const logger = require('./logger');
+const profileIO = require('./profile-io');
+
+// Refresh rate (seconds) sent to devices when neither device nor profile sets one
+const DEFAULT_DEVICE_REFRESH_RATE = 900;
+
+// Devices without an image retry sooner so they pick up the first capture quickly
+const NO_IMAGE_REFRESH_RATE = 60;
+
+// TRMNL firmware reports versions like "1.5.2"; anything else in the header is not stored
+const FIRMWARE_VERSION_PATTERN = /^[\w.+-]{1,32}$/;
+
+// Address the Supervisor's ingress proxy connects from
+const DEFAULT_INGRESS_PROXY = '172.30.32.2';
+
+// Content types accepted for YAML profile imports
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'];
+
+// BYOS endpoints authenticate devices with their own access tokens
+const DEVICE_PATHS = ['/api/setup', '/api/display', '/api/log'];
 
 class ScreenshotServer {
   constructor(options = {}) {
@@ -16,14 +51,93 @@ class ScreenshotServer {
     this.port = options.port || 5001;
     this.dataPath = options.dataPath || '/data';
     this.haUrl = options.haUrl || 'http://homeassistant.local:8123';
-    this.haToken = options.haToken || process.env.SUPERVISOR_TOKEN || '';
+    this.haToken = options.haToken || '';
+
+    // Effective configuration, reported (redacted) by /api/config
+    this.config = options;
+
+    this.metrics = new Metrics();
+    this.log = logger.child('Server');
 
     // Initialize services
+    this.haAuth = new HomeAssistantAuth({
+      haUrl: this.haUrl,
+      accessToken: this.haToken,
+      refreshToken: options.haRefreshToken,
+      clientId: options.haClientId
+    });
+
+    this.apiKeys = new ApiKeyManager(this.dataPath);
+    this.ingressProxy = options.ingressProxy || DEFAULT_INGRESS_PROXY;
+    this.corsOrigins = options.corsOrigins || [];
+
+    this.urlPolicy = new UrlPolicy({
+      haUrl: this.haUrl,
+      allowlist: options.urlAllowlist,
+      denylist: options.urlDenylist
+    });
+
+    this.screenshotIndex = new ScreenshotIndex(this.dataPath);
+
     this.screenshotService = new ScreenshotService({
-      screenshotPath: path.join(this.dataPath, 'screenshots')
+      screenshotPath: path.join(this.dataPath, 'screenshots'),
+      auth: this.haAuth,
+      urlPolicy: this.urlPolicy,
+      index: this.screenshotIndex,
+      imageQuality: options.imageQuality,
+      maxConcurrent: options.maxConcurrent,
+      pool: {
+        enabled: options.pagePoolSize !== 0,
+        maxPages: options.pagePoolSize,
+        maxUses: options.pagePoolMaxUses
+      }
+    });
+
+    this.profileManager = new ProfileManager(this.dataPath, {
+      defaultRefreshInterval: options.screenshotInterval
+    });
+    this.deviceManager = new DeviceManager(this.dataPath);
+
+    this.captureQueue = new CaptureQueue({
+      concurrency: this.screenshotService.options.maxConcurrent,
+      runJob: (job, signal) => this.runCaptureJob(job, signal)
     });
 
-    this.profileManager = new ProfileManager(this.dataPath);
+    this.scheduler = new CaptureScheduler({
+      profileManager: this.profileManager,
+      captureProfile: profile => this.enqueueProfileCapture(profile, 'scheduled').promise,
+      isCapturing: profileId => this.captureQueue.hasActive(`profile:${profileId}`)
+    });
+
+    this.retention = new RetentionManager({
+      screenshotService: this.screenshotService,
+      screenshotIndex: this.screenshotIndex,
+      profileManager: this.profileManager,
+      policy: options.retention
+    });
+
+    this.haEntities = new HomeAssistantEntities({
+      ...options.entities,
+      profileManager: this.profileManager,
+      screenshotIndex: this.screenshotIndex,
+      imageToken: profileId => this.apiKeys.imageToken(profileId)
+    });
+
+    // Without the Supervisor token the triggers authenticate like the browser does
+    this.triggers = new HomeAssistantTriggers({
+      ...options.triggers,
+      auth: this.haAuth,
+      profileManager: this.profileManager,
+      captureProfile: profile => this.enqueueProfileCapture(profile, 'triggered')
+    });
+
+    this.mqtt = new MqttBridge({
+      ...options.mqtt,
+      profileManager: this.profileManager,
+      screenshotService: this.screenshotService,
+      screenshotIndex: this.screenshotIndex,
+      captureProfile: profile => this.enqueueProfileCapture(profile, 'manual')
+    });
 
     // Ensure screenshot directory exists
     const screenshotDir = path.join(this.dataPath, 'screenshots');
@@ -31,47 +145,170 @@ class ScreenshotServer {
       fs.mkdirSync(screenshotDir, { recursive: true });
     }
 
+    // Files may have been added or removed while the addon was stopped
+    this.screenshotIndex.reconcile(screenshotDir);
+
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
-    this.app.use(bodyParser.json({ limit: '10kb' }));
+    // Profiles may carry a custom stylesheet and init script
+    this.app.use(bodyParser.json({ limit: '128kb' }));
     this.app.use(bodyParser.urlencoded({ limit: '10kb', extended: false }));
 
     // Request logging
     this.app.use((req, res, next) => {
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+      this.log.debug(`${req.method} ${req.path}`);
+      next();
+    });
+
+    // Count requests by route pattern rather than path, so ids don't create new series
+    this.app.use((req, res, next) => {
+      res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        this.metrics.recordRequest(req.method, route, res.statusCode);
+      });
       next();
     });
 
-    // CORS headers
+    // CORS: only origins that are explicitly configured may call the API from a browser
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      const origin = req.get('Origin');
+      res.vary('Origin');
+
+      if (origin && this.corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+      }
 
       if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+        return res.sendStatus(204);
       }
 
       next();
     });
+
+    // API authentication
+    this.app.use('/api', (req, res, next) => {
+      if (this.isAuthorized(req)) {
+        return next();
+      }
+
+      res.status(401).json({ error: 'API key required', code: 'UNAUTHORIZED' });
+    });
+  }
+
+  /**
+   * Whether a request may use the API
+   * Authentication is enforced once at least one API key exists. Requests through
+   * HA ingress are already authenticated by Home Assistant and always allowed.
+   */
+  isAuthorized(req) {
+    if (DEVICE_PATHS.includes(req.originalUrl.split('?')[0])) {
+      return true;
+    }
+
+    if (!this.apiKeys.isEnabled() || this.isIngressRequest(req)) {
+      return true;
+    }
+
+    const header = req.get('Authorization') || '';
+    const bearer = header.startsWith('Bearer ') ? header.substring(7) : null;
+    if (this.apiKeys.verify(req.get('X-API-Key') || bearer)) {
+      return true;
+    }
+
+    // Image URLs can't carry headers, so GET requests may pass the key in the query
+    if (req.method === 'GET' && this.apiKeys.verify(req.query.api_key)) {
+      return true;
+    }
+
+    // Devices fetch their image with their own access token
+    if (req.method === 'GET' && this.isDeviceImageRequest(req)) {
+      return true;
+    }
+
+    // Image entities in Home Assistant link to a profile's image with a token for that image only
+    const imageMatch = req.path.match(/^\/profiles\/([^/]+)\/image(\.[a-z0-9]+)?$/);
+    if (req.method === 'GET' && imageMatch && this.apiKeys.verifyImageToken(imageMatch[1], req.query.token)) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether a request is an approved device downloading the image of its assigned profile
+   * A device token opens nothing else: no other screenshots, `latest` or the listing
+   */
+  isDeviceImageRequest(req) {
+    const match = req.path.match(/^\/screenshot\/([^/]+)$/);
+    if (!match || match[1] === 'latest') {
+      return false;
+    }
+
+    const device = this.deviceManager.getDeviceByApiKey(req.get('Access-Token') || req.query.access_token);
+    if (!device || !this.deviceManager.isApproved(device) || !device.profileId) {
+      return false;
+    }
+
+    let filename;
+    try {
+      filename = decodeURIComponent(match[1]);
+    } catch (error) {
+      return false;
+    }
+
+    // The profile's latest image, or the one the device was last sent if a capture replaced it since
+    const profile = this.profileManager.getProfile(device.profileId);
+    const entry = this.screenshotIndex.get(filename);
+    return Boolean(profile && entry && entry.profileId === profile.id &&
+      (filename === profile.lastScreenshot || filename === device.lastFilename));
+  }
+
+  isIngressRequest(req) {
+    const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    return address === this.ingressProxy;
+  }
+
+  /**
+   * Path prefix the UI is served under, e.g. /api/hassio_ingress/<token> inside the HA sidebar
+   * Empty when the addon is opened directly on its own port
+   */
+  getBasePath(req) {
+    const ingressPath = req.get('X-Ingress-Path') || '';
+    return /^(\/[A-Za-z0-9._~-]+)+$/.test(ingressPath) ? ingressPath : '';
   }
 
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
+      const browser = this.screenshotService.getBrowserStatus();
+
       res.json({
-        status: 'ok',
+        status: browser.ready ? 'ok' : 'degraded',
+        ...(browser.ready ? {} : { degraded_reason: browser.lastError || `Browser is ${browser.state}` }),
         timestamp: new Date().toISOString(),
         addon: 'TRMNL Screenshot',
         version: '0.2.0',
-        browser_ready: this.screenshotService.browser !== null,
-        profiles: Object.keys(this.profileManager.profiles).length
+        browser_ready: browser.ready,
+        browser,
+        profiles: Object.keys(this.profileManager.profiles).length,
+        scheduler_running: !this.scheduler.stopped,
+        queue: this.captureQueue.getStats(),
+        page_pool: this.screenshotService.getPoolStats(),
+        retention: this.retention.getSummary(),
+        ha_entities: this.haEntities.getStatus(),
+        mqtt: this.mqtt.getStatus(),
+        triggers: this.triggers.getStatus()
       });
     });
 
+    // Prometheus metrics
+    this.app.get('/metrics', this.handleMetrics.bind(this));
+
     // API Routes
     this.app.post('/api/screenshot', this.handleCaptureScreenshot.bind(this));
     this.app.get('/api/screenshot/latest', this.handleGetLatestScreenshot.bind(this));
@@ -82,14 +319,51 @@ class ScreenshotServer {
     // Profile Routes
     this.app.post('/api/profiles', this.handleCreateProfile.bind(this));
     this.app.get('/api/profiles', this.handleListProfiles.bind(this));
+    this.app.get('/api/profiles/export', this.handleExportProfiles.bind(this));
+    this.app.post('/api/profiles/import', bodyParser.text({ type: YAML_TYPES, limit: '128kb' }), this.handleImportProfiles.bind(this));
     this.app.get('/api/profiles/:id', this.handleGetProfile.bind(this));
     this.app.put('/api/profiles/:id', this.handleUpdateProfile.bind(this));
     this.app.delete('/api/profiles/:id', this.handleDeleteProfile.bind(this));
     this.app.post('/api/profiles/:id/capture', this.handleCaptureProfile.bind(this));
+    this.app.get('/api/profiles/:id/image', this.handleGetProfileImage.bind(this));
+    this.app.get('/api/profiles/:id/image.:ext', this.handleGetProfileImage.bind(this));
+
+    // Job Routes
+    this.app.get('/api/jobs', this.handleListJobs.bind(this));
+    this.app.get('/api/jobs/:id', this.handleGetJob.bind(this));
+    this.app.delete('/api/jobs/:id', this.handleCancelJob.bind(this));
+
+    // Retention Routes
+    this.app.get('/api/retention', this.handleGetRetention.bind(this));
+    this.app.get('/api/retention/preview', this.handlePreviewRetention.bind(this));
+    this.app.post('/api/retention/run', this.handleRunRetention.bind(this));
+
+    // Config Routes
+    this.app.get('/api/config', this.handleGetConfig.bind(this));
+
+    // Log Routes
+    this.app.get('/api/logs', this.handleGetLogs.bind(this));
+
+    // API Key Routes
+    this.app.get('/api/keys', this.handleListApiKeys.bind(this));
+    this.app.post('/api/keys', this.handleCreateApiKey.bind(this));
+    this.app.delete('/api/keys/:id', this.handleRevokeApiKey.bind(this));
+
+    // TRMNL BYOS device protocol
+    this.app.get('/api/setup', this.handleDeviceSetup.bind(this));
+    this.app.get('/api/display', this.handleDeviceDisplay.bind(this));
+    this.app.post('/api/log', this.handleDeviceLog.bind(this));
+
+    // Device Routes
+    this.app.get('/api/devices', this.handleListDevices.bind(this));
+    this.app.get('/api/devices/:id', this.handleGetDevice.bind(this));
+    this.app.put('/api/devices/:id', this.handleUpdateDevice.bind(this));
+    this.app.delete('/api/devices/:id', this.handleDeleteDevice.bind(this));
+    this.app.get('/api/devices/:id/logs', this.handleGetDeviceLogs.bind(this));
 
     // Web UI
     this.app.get('/', (req, res) => {
-      res.send(this.getWebUI());
+      res.send(this.getWebUI(this.getBasePath(req)));
     });
 
     // 404
@@ -98,227 +372,954 @@ class ScreenshotServer {
     });
   }
 
-  // Request Handlers
+  // Request Handlers
+
+  async handleCaptureScreenshot(req, res) {
+    try {
+      const { url, width = 800, height = 480, theme = 'light', format = 'png', dither, waitFor } = req.body;
+
+      if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+      }
+
+      try {
+        await this.urlPolicy.assertAllowed(url);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+
+      const waitErrors = waitStrategies.validate(waitFor);
+      if (waitErrors.length > 0) {
+        return res.status(400).json({ errors: waitErrors });
+      }
+
+      const job = this.captureQueue.enqueue({
+        priority: 'manual',
+        payload: {
+          capture: {
+            url,
+            width: parseInt(width) || 800,
+            height: parseInt(height) || 480,
+            theme: theme || 'light',
+            outputFormat: format || 'png',
+            dither: dither || undefined,
+            waitFor: waitFor || null
+          }
+        }
+      });
+
+      await this.respondWithJob(req, res, job);
+    } catch (error) {
+      this.log.error('Capture error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async handleGetLatestScreenshot(req, res) {
+    try {
+      const screenshots = this.screenshotService.getScreenshots(1);
+
+      if (screenshots.length === 0) {
+        return res.status(404).json({ error: 'No screenshots available' });
+      }
+
+      const filename = screenshots[0].filename;
+      const buffer = this.screenshotService.getScreenshot(filename);
+
+      if (!buffer) {
+        return res.status(404).json({ error: 'Screenshot not found' });
+      }
+
+      res.contentType(ScreenshotService.getContentType(filename));
+      res.send(buffer);
+    } catch (error) {
+      this.log.error('Error getting screenshot:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleListScreenshots(req, res) {
+    try {
+      let page;
+      try {
+        page = this.screenshotIndex.query({
+          profileId: req.query.profile,
+          format: req.query.format,
+          since: req.query.since,
+          limit: req.query.limit,
+          offset: req.query.offset
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const basePath = this.getBasePath(req);
+      res.json({
+        total: page.total,
+        limit: page.limit,
+        offset: page.offset,
+        screenshots: page.entries.map(entry => ({
+          ...entry,
+          url: `${basePath}/api/screenshot/${entry.filename}`
+        }))
+      });
+    } catch (error) {
+      this.log.error('Error listing screenshots:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleGetScreenshot(req, res) {
+    try {
+      const { filename } = req.params;
+      const buffer = this.screenshotService.getScreenshot(filename);
+
+      if (!buffer) {
+        return res.status(404).json({ error: 'Screenshot not found' });
+      }
+
+      res.contentType(ScreenshotService.getContentType(filename));
+      res.send(buffer);
+    } catch (error) {
+      this.log.error('Error getting screenshot:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleDeleteScreenshot(req, res) {
+    try {
+      const { filename } = req.params;
+      const deleted = this.screenshotService.deleteScreenshot(filename);
+
+      if (deleted) {
+        res.json({ success: true, message: 'Screenshot deleted' });
+      } else {
+        res.status(404).json({ error: 'Screenshot not found' });
+      }
+    } catch (error) {
+      this.log.error('Error deleting screenshot:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async handleCreateProfile(req, res) {
+    try {
+      const { valid, errors } = this.profileManager.validateProfile(req.body);
+
+      if (!valid) {
+        return res.status(400).json({ errors });
+      }
+
+      try {
+        await this.urlPolicy.assertAllowed(req.body.url);
+      } catch (error) {
+        return res.status(400).json({ errors: [error.message], code: error.code });
+      }
+
+      const profile = this.profileManager.createProfile(req.body);
+      res.status(201).json(profile);
+    } catch (error) {
+      this.log.error('Error creating profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleListProfiles(req, res) {
+    try {
+      const enabledOnly = req.query.enabled === 'true';
+      const profiles = this.profileManager.getAllProfiles(enabledOnly);
+
+      res.json({
+        total: profiles.length,
+        profiles: profiles.map(p => this.withSchedule(p))
+      });
+    } catch (error) {
+      this.log.error('Error listing profiles:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleGetProfile(req, res) {
+    try {
+      const { id } = req.params;
+      const profile = this.profileManager.getProfile(id);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      res.json(this.withSchedule(profile));
+    } catch (error) {
+      this.log.error('Error getting profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async handleUpdateProfile(req, res) {
+    try {
+      const { id } = req.params;
+
+      const profile = this.profileManager.getProfile(id);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      const { valid, errors } = this.profileManager.validateProfile({ ...profile, ...req.body });
+      if (!valid) {
+        return res.status(400).json({ errors });
+      }
+
+      if ('url' in req.body) {
+        try {
+          await this.urlPolicy.assertAllowed(req.body.url);
+        } catch (error) {
+          return res.status(400).json({ errors: [error.message], code: error.code });
+        }
+      }
+
+      const updated = this.profileManager.updateProfile(id, req.body);
+      res.json(updated);
+    } catch (error) {
+      this.log.error('Error updating profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Download all profiles as JSON (default) or YAML
+   */
+  handleExportProfiles(req, res) {
+    try {
+      const format = req.query.format || 'json';
+      if (!['json', 'yaml'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be json or yaml' });
+      }
+
+      const document = profileIO.exportProfiles(this.profileManager.getAllProfiles());
+
+      res.attachment(`trmnl-profiles.${format}`);
+      res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+      res.send(profileIO.serialize(document, format));
+    } catch (error) {
+      this.log.error('Error exporting profiles:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Import profiles from a JSON or YAML body
+   * `mode=merge` (default) creates and updates; `mode=replace` also deletes profiles
+   * the import doesn't mention. `dryRun=true` only reports what would change.
+   */
+  async handleImportProfiles(req, res) {
+    try {
+      let plan;
+      try {
+        const document = typeof req.body === 'string'
+          ? profileIO.parse(req.body, 'yaml')
+          : profileIO.normalizeDocument(req.body);
+
+        plan = profileIO.planImport(this.profileManager, document, { mode: req.query.mode });
+        await this.assertImportUrlsAllowed(plan);
+      } catch (error) {
+        if (error.code === 'INVALID_IMPORT' || error.code === 'URL_NOT_ALLOWED') {
+          return res.status(400).json({ errors: error.errors || [error.message], code: error.code });
+        }
+        throw error;
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      if (!dryRun) {
+        profileIO.applyImport(this.profileManager, plan);
+        this.log.info(`Imported profiles (${plan.mode}): ${plan.create.length} created, ${plan.update.length} updated, ${plan.delete.length} deleted`);
+      }
+
+      res.json({ dryRun, ...plan });
+    } catch (error) {
+      this.log.error('Error importing profiles:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Check the URLs an import would save against the URL policy
+   */
+  async assertImportUrlsAllowed(plan) {
+    const urls = [
+      ...plan.create.map(entry => entry.settings.url),
+      ...plan.update.filter(entry => entry.changes.url).map(entry => entry.changes.url.to)
+    ];
+
+    for (const url of urls) {
+      await this.urlPolicy.assertAllowed(url);
+    }
+  }
+
+  /**
+   * Apply the user's profiles file, if there is one
+   * An invalid file is reported and ignored as a whole, leaving the profiles as they were
+   */
+  async reconcileProfilesFile() {
+    const file = this.config.profilesFile;
+    if (!file) {
+      return;
+    }
+
+    try {
+      const document = profileIO.loadFile(file);
+      if (!document) {
+        this.log.debug(`No profiles file at ${file}`);
+        return;
+      }
+
+      const plan = profileIO.planImport(this.profileManager, document);
+      await this.assertImportUrlsAllowed(plan);
+      profileIO.applyImport(this.profileManager, plan);
+
+      this.log.info(`Reconciled ${file} (${plan.mode}): ${plan.create.length} created, ${plan.update.length} updated, ${plan.delete.length} deleted, ${plan.unchanged.length} unchanged`);
+    } catch (error) {
+      this.log.error(`Profiles file ${file} was not applied:`, error.message);
+    }
+  }
+
+  handleDeleteProfile(req, res) {
+    try {
+      const { id } = req.params;
+      const deleted = this.profileManager.deleteProfile(id);
+
+      if (deleted) {
+        res.json({ success: true, message: 'Profile deleted' });
+      } else {
+        res.status(404).json({ error: 'Profile not found' });
+      }
+    } catch (error) {
+      this.log.error('Error deleting profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async handleCaptureProfile(req, res) {
+    try {
+      const { id } = req.params;
+      const profile = this.profileManager.getProfile(id);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      const job = this.enqueueProfileCapture(profile, 'manual');
+      await this.respondWithJob(req, res, job);
+    } catch (error) {
+      this.log.error('Error capturing profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Serve a profile's latest capture at a stable URL
+   * Supports conditional GET so devices can poll cheaply
+   */
+  handleGetProfileImage(req, res) {
+    try {
+      const { id, ext } = req.params;
+      const profile = this.profileManager.getProfile(id);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      const info = profile.lastScreenshot ? this.screenshotService.getScreenshotInfo(profile.lastScreenshot) : null;
+      if (!info) {
+        return res.status(404).json({ error: 'No screenshot captured for this profile yet' });
+      }
+
+      if (ext && ScreenshotService.getContentType(`image.${ext}`) !== info.contentType) {
+        return res.status(404).json({ error: `Latest capture is ${path.extname(info.filename).slice(1)}, not ${ext}` });
+      }
+
+      const buffer = this.screenshotService.getScreenshot(info.filename);
+      const etag = `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`;
+
+      res.set({
+        'ETag': etag,
+        'Last-Modified': info.modified.toUTCString(),
+        'Cache-Control': 'no-cache',
+        'Content-Type': info.contentType
+      });
+
+      // Express answers 304 from If-None-Match / If-Modified-Since when the response is fresh
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.send(buffer);
+    } catch (error) {
+      this.log.error('Error getting profile image:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Send a job's result, or 202 with the job when the caller asked for ?async=true
+   */
+  async respondWithJob(req, res, job) {
+    if (req.query.async === 'true') {
+      return res.status(202).json(job);
+    }
+
+    const result = await job.promise;
+    const body = { ...result, jobId: job.id };
+
+    if (result.success) {
+      res.json(body);
+    } else {
+      res.status(400).json(body);
+    }
+  }
+
+  /**
+   * Queue a capture of a profile
+   * Requests for a profile that is already queued or running share one job
+   */
+  enqueueProfileCapture(profile, priority = 'manual') {
+    const job = this.captureQueue.enqueue({
+      key: `profile:${profile.id}`,
+      profileId: profile.id,
+      priority
+    });
+
+    // A cancelled capture still counts as a run, otherwise the scheduler queues it again on the next tick
+    if (job.coalesced === 0) {
+      job.promise.then(result => {
+        if (result && result.code === 'JOB_CANCELLED') {
+          this.profileManager.recordSkippedRun(profile.id);
+        }
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Run a queued job: either a profile capture or an ad-hoc capture
+   */
+  async runCaptureJob(job, signal) {
+    let result;
+
+    if (job.profileId) {
+      // Look the profile up again so the capture uses its current settings
+      const profile = this.profileManager.getProfile(job.profileId);
+      if (!profile) {
+        return { success: false, error: 'Profile not found' };
+      }
+
+      result = await this.captureProfile(profile, signal, job.id);
+    } else {
+      result = await this.screenshotService.captureScreenshot({ ...job.payload.capture, signal, jobId: job.id });
+    }
+
+    if (result.code !== 'JOB_CANCELLED') {
+      this.metrics.recordCapture(job.profileId, result);
+    }
+
+    // Apply retention once the new file is recorded as the profile's latest
+    if (result.success && result.changed) {
+      this.retention.enforce();
+    }
+
+    return result;
+  }
+
+  /**
+   * Capture a profile and record the outcome
+   */
+  async captureProfile(profile, signal = null, jobId = null) {
+    const log = this.log.with({ profile: profile.id, job: jobId });
+    let result;
+
+    try {
+      result = await this.screenshotService.captureScreenshot({
+        signal,
+        profileId: profile.id,
+        jobId,
+        url: profile.url,
+        width: profile.width,
+        height: profile.height,
+        theme: profile.theme,
+        outputFormat: profile.outputFormat,
+        dither: profile.dither,
+        waitFor: profile.waitFor,
+        viewportWidth: profile.viewportWidth,
+        viewportHeight: profile.viewportHeight,
+        hideHeader: profile.hideHeader,
+        hideSidebar: profile.hideSidebar,
+        crop: profile.crop,
+        customCss: profile.customCss,
+        initScript: profile.initScript,
+        postProcess: profile.postProcess,
+        previousCapture: {
+          filename: profile.lastScreenshot,
+          contentHash: profile.lastContentHash,
+          perceptualHash: profile.lastPerceptualHash
+        },
+        changeThreshold: profile.changeThreshold
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      log.info(`Captured ${profile.name} in ${result.duration}ms${result.changed === false ? ' (unchanged)' : ''}`);
+    }
+
+    // A cancelled capture is neither a success nor a failure of the profile
+    if (result.code !== 'JOB_CANCELLED') {
+      this.profileManager.recordCapture(profile.id, result.success, result.error || null, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Add scheduling information to a profile for API responses
+   */
+  withSchedule(profile) {
+    const nextRun = this.scheduler.getNextRun(profile);
+
+    return {
+      ...profile,
+      nextRun: nextRun ? nextRun.toISOString() : null
+    };
+  }
+
+  /**
+   * Metrics in the Prometheus text format
+   * Protected like the API, so scrapers pass an API key once keys exist
+   */
+  handleMetrics(req, res) {
+    try {
+      if (!this.isAuthorized(req)) {
+        return res.status(401).json({ error: 'API key required', code: 'UNAUTHORIZED' });
+      }
+
+      const body = this.metrics.render({
+        queue: this.captureQueue.getStats(),
+        activeCaptures: this.screenshotService.activeCaptures,
+        browser: this.screenshotService.getBrowserStatus(),
+        screenshots: this.screenshotIndex.getAll(),
+        profiles: this.profileManager.getAllProfiles()
+      });
+
+      res.type('text/plain; version=0.0.4').send(body);
+    } catch (error) {
+      this.log.error('Error rendering metrics:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Recent log entries, filtered by minimum level and profile
+   * Pass the returned `lastId` as `since` to fetch only newer entries
+   */
+  handleGetLogs(req, res) {
+    try {
+      const { level, profile, since, limit } = req.query;
+
+      if (level && !(level in logger.LEVELS)) {
+        return res.status(400).json({ error: `Level must be one of: ${Object.keys(logger.LEVELS).join(', ')}` });
+      }
+
+      res.json({
+        level: logger.level,
+        ...logger.query({ level, profile, since, limit })
+      });
+    } catch (error) {
+      this.log.error('Error getting logs:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Effective configuration with tokens and other secrets redacted
+   */
+  handleGetConfig(req, res) {
+    try {
+      const { optionsSource, optionErrors, ...config } = this.config;
+
+      res.json({
+        config: addonOptions.redact({ ...config, retention: this.retention.policy }),
+        options: {
+          source: optionsSource || null,
+          errors: optionErrors || []
+        }
+      });
+    } catch (error) {
+      this.log.error('Error getting config:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleListApiKeys(req, res) {
+    try {
+      res.json({ enabled: this.apiKeys.isEnabled(), keys: this.apiKeys.getAllKeys() });
+    } catch (error) {
+      this.log.error('Error listing API keys:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleCreateApiKey(req, res) {
+    try {
+      const { name } = req.body || {};
+
+      if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+        return res.status(400).json({ error: 'Name must be a string of at most 100 characters' });
+      }
+
+      // Until a key exists the API is open, so only Home Assistant ingress may turn on key checks
+      if (!this.apiKeys.isEnabled() && !this.isIngressRequest(req)) {
+        return res.status(403).json({ error: 'The first API key must be created through Home Assistant ingress (the sidebar panel)' });
+      }
+
+      // The plain key is only ever returned here
+      res.status(201).json(this.apiKeys.createKey(name));
+    } catch (error) {
+      this.log.error('Error creating API key:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleRevokeApiKey(req, res) {
+    try {
+      if (!this.apiKeys.revokeKey(req.params.id)) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+      this.log.error('Error revoking API key:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  handleGetRetention(req, res) {
+    try {
+      res.json(this.retention.getSummary());
+    } catch (error) {
+      this.log.error('Error getting retention summary:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
 
-  async handleCaptureScreenshot(req, res) {
+  /**
+   * Dry run: list the files the retention policies would delete now
+   */
+  handlePreviewRetention(req, res) {
     try {
-      const { url, width = 800, height = 480, theme = 'light', format = 'png' } = req.body;
+      res.json({ dryRun: true, ...this.retention.plan() });
+    } catch (error) {
+      this.log.error('Error previewing retention:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
 
-      if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
-      }
+  handleRunRetention(req, res) {
+    try {
+      res.json(this.retention.enforce());
+    } catch (error) {
+      this.log.error('Error running retention:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
 
-      const result = await this.screenshotService.captureScreenshot({
-        url,
-        width: parseInt(width) || 800,
-        height: parseInt(height) || 480,
-        theme: theme || 'light',
-        haToken: this.haToken,
-        outputFormat: format || 'png'
+  handleListJobs(req, res) {
+    try {
+      const jobs = this.captureQueue.getJobs({
+        status: req.query.status,
+        profileId: req.query.profile
       });
 
-      if (result.success) {
-        res.json(result);
-      } else {
-        res.status(400).json(result);
-      }
+      res.json({
+        total: jobs.length,
+        ...this.captureQueue.getStats(),
+        jobs
+      });
     } catch (error) {
-      console.error('[Server] Capture error:', error.message);
+      this.log.error('Error listing jobs:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  async handleGetLatestScreenshot(req, res) {
+  handleGetJob(req, res) {
     try {
-      const screenshots = this.screenshotService.getScreenshots(1);
-
-      if (screenshots.length === 0) {
-        return res.status(404).json({ error: 'No screenshots available' });
-      }
-
-      const filename = screenshots[0].filename;
-      const buffer = this.screenshotService.getScreenshot(filename);
+      const job = this.captureQueue.getJob(req.params.id);
 
-      if (!buffer) {
-        return res.status(404).json({ error: 'Screenshot not found' });
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
       }
 
-      res.contentType('image/png');
-      res.send(buffer);
+      res.json(job);
     } catch (error) {
-      console.error('[Server] Error getting screenshot:', error.message);
+      this.log.error('Error getting job:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  handleListScreenshots(req, res) {
+  handleCancelJob(req, res) {
     try {
-      const limit = parseInt(req.query.limit) || 20;
-      const screenshots = this.screenshotService.getScreenshots(limit);
+      const job = this.captureQueue.getJob(req.params.id);
 
-      res.json({
-        total: screenshots.length,
-        screenshots: screenshots.map(s => ({
-          filename: s.filename,
-          size: s.size,
-          created: s.created,
-          url: `/api/screenshot/${s.filename}`
-        }))
-      });
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      if (!this.captureQueue.cancel(job.id)) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+      }
+
+      res.json({ success: true, message: 'Job cancelled', job });
     } catch (error) {
-      console.error('[Server] Error listing screenshots:', error.message);
+      this.log.error('Error cancelling job:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  handleGetScreenshot(req, res) {
+  // TRMNL Device Handlers
+
+  /**
+   * Read the device telemetry headers sent by TRMNL firmware
+   * Headers come from unauthenticated requests, so values that don't look like telemetry are dropped
+   */
+  getDeviceTelemetry(req) {
+    const number = value => {
+      const parsed = value === undefined || value.trim() === '' ? NaN : Number(value);
+      return Number.isFinite(parsed) ? parsed : undefined;
+    };
+    const version = (req.get('FW-Version') || '').trim();
+
+    return {
+      firmwareVersion: FIRMWARE_VERSION_PATTERN.test(version) ? version : undefined,
+      batteryVoltage: number(req.get('Battery-Voltage')),
+      rssi: number(req.get('RSSI'))
+    };
+  }
+
+  /**
+   * Find the device making a request from its Access-Token header
+   */
+  authenticateDevice(req) {
+    const device = this.deviceManager.getDeviceByApiKey(req.get('Access-Token'));
+    if (!device || !this.deviceManager.isApproved(device)) {
+      return null;
+    }
+
+    // When the MAC is sent as well it must belong to the same device
+    const mac = req.get('ID');
+    if (mac && DeviceManager.normalizeMac(mac) !== device.macAddress) {
+      return null;
+    }
+
+    return device;
+  }
+
+  handleDeviceSetup(req, res) {
     try {
-      const { filename } = req.params;
-      const buffer = this.screenshotService.getScreenshot(filename);
+      const mac = req.get('ID');
 
-      if (!buffer) {
-        return res.status(404).json({ error: 'Screenshot not found' });
+      if (!DeviceManager.normalizeMac(mac)) {
+        return res.status(400).json({ status: 400, error: 'ID header with device MAC address is required' });
       }
 
-      const ext = path.extname(filename).toLowerCase();
-      const contentType = ext === '.bmp' ? 'image/bmp' : 'image/png';
+      // Anyone can call setup, so with API keys in use new devices wait for approval
+      const device = this.deviceManager.registerDevice(mac, {
+        ...this.getDeviceTelemetry(req),
+        approved: !this.apiKeys.isEnabled()
+      });
+      this.deviceManager.recordCheckIn(device.id, this.getDeviceTelemetry(req));
+
+      if (!this.deviceManager.isApproved(device)) {
+        this.log.info(`Device ${device.macAddress} is waiting for approval`);
+        return res.status(403).json({
+          status: 403,
+          friendly_id: device.friendlyId,
+          error: 'Device is waiting for approval in the addon'
+        });
+      }
 
-      res.contentType(contentType);
-      res.send(buffer);
+      res.json({
+        status: 200,
+        api_key: device.apiKey,
+        friendly_id: device.friendlyId,
+        image_url: null,
+        message: `Registered as ${device.name}`
+      });
     } catch (error) {
-      console.error('[Server] Error getting screenshot:', error.message);
-      res.status(500).json({ error: error.message });
+      this.log.error('Device setup error:', error.message);
+      res.status(500).json({ status: 500, error: error.message });
     }
   }
 
-  handleDeleteScreenshot(req, res) {
+  handleDeviceDisplay(req, res) {
     try {
-      const { filename } = req.params;
-      const deleted = this.screenshotService.deleteScreenshot(filename);
+      const device = this.authenticateDevice(req);
 
-      if (deleted) {
-        res.json({ success: true, message: 'Screenshot deleted' });
-      } else {
-        res.status(404).json({ error: 'Screenshot not found' });
+      if (!device) {
+        return res.status(401).json({ status: 401, error: 'Unknown device or invalid access token' });
       }
+
+      this.deviceManager.recordCheckIn(device.id, this.getDeviceTelemetry(req));
+
+      const profile = device.profileId ? this.profileManager.getProfile(device.profileId) : null;
+      const filename = profile ? profile.lastScreenshot : null;
+
+      if (!filename || !this.screenshotService.getScreenshotInfo(filename)) {
+        return res.json({
+          status: 202,
+          image_url: null,
+          filename: null,
+          changed: false,
+          refresh_rate: NO_IMAGE_REFRESH_RATE,
+          reset_firmware: false,
+          update_firmware: false,
+          firmware_url: null,
+          special_function: 'sleep',
+          message: profile ? 'No screenshot captured yet' : 'No profile assigned to this device'
+        });
+      }
+
+      // Firmware only redraws when the filename changes; report that explicitly as well
+      const changed = device.lastFilename !== filename;
+      this.deviceManager.recordDisplay(device.id, filename);
+
+      res.json({
+        status: 0,
+        image_url: `${req.protocol}://${req.get('host')}/api/screenshot/${encodeURIComponent(filename)}?access_token=${device.apiKey}`,
+        filename,
+        changed,
+        refresh_rate: device.refreshRate || profile.refreshInterval || DEFAULT_DEVICE_REFRESH_RATE,
+        reset_firmware: false,
+        update_firmware: false,
+        firmware_url: null,
+        special_function: 'sleep'
+      });
     } catch (error) {
-      console.error('[Server] Error deleting screenshot:', error.message);
-      res.status(500).json({ error: error.message });
+      this.log.error('Device display error:', error.message);
+      res.status(500).json({ status: 500, error: error.message });
     }
   }
 
-  async handleCreateProfile(req, res) {
+  handleDeviceLog(req, res) {
     try {
-      const { valid, errors } = this.profileManager.validateProfile(req.body);
+      const device = this.authenticateDevice(req);
 
-      if (!valid) {
-        return res.status(400).json({ errors });
+      if (!device) {
+        return res.status(401).json({ status: 401, error: 'Unknown device or invalid access token' });
       }
 
-      const profile = this.profileManager.createProfile(req.body);
-      res.status(201).json(profile);
+      // Firmware sends { log: { logs_array: [...] } }; accept a bare array as well
+      const body = req.body || {};
+      let entries = (body.log && body.log.logs_array) || body.logs || body.logs_array || [];
+      if (!Array.isArray(entries)) {
+        entries = [entries];
+      }
+
+      const count = this.deviceManager.addLogs(device.id, entries);
+      this.log.info(`Received ${count} log entries from device ${device.macAddress}`);
+
+      res.status(204).end();
     } catch (error) {
-      console.error('[Server] Error creating profile:', error.message);
-      res.status(500).json({ error: error.message });
+      this.log.error('Device log error:', error.message);
+      res.status(500).json({ status: 500, error: error.message });
     }
   }
 
-  handleListProfiles(req, res) {
+  handleListDevices(req, res) {
     try {
-      const enabledOnly = req.query.enabled === 'true';
-      const profiles = this.profileManager.getAllProfiles(enabledOnly);
+      const devices = this.deviceManager.getAllDevices();
 
       res.json({
-        total: profiles.length,
-        profiles
+        total: devices.length,
+        devices
       });
     } catch (error) {
-      console.error('[Server] Error listing profiles:', error.message);
+      this.log.error('Error listing devices:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  handleGetProfile(req, res) {
+  handleGetDevice(req, res) {
     try {
-      const { id } = req.params;
-      const profile = this.profileManager.getProfile(id);
+      const device = this.deviceManager.getDevice(req.params.id);
 
-      if (!profile) {
-        return res.status(404).json({ error: 'Profile not found' });
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
       }
 
-      res.json(profile);
+      res.json(device);
     } catch (error) {
-      console.error('[Server] Error getting profile:', error.message);
+      this.log.error('Error getting device:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  handleUpdateProfile(req, res) {
+  handleUpdateDevice(req, res) {
     try {
       const { id } = req.params;
 
-      const profile = this.profileManager.getProfile(id);
-      if (!profile) {
-        return res.status(404).json({ error: 'Profile not found' });
+      if (!this.deviceManager.getDevice(id)) {
+        return res.status(404).json({ error: 'Device not found' });
       }
 
-      const updated = this.profileManager.updateProfile(id, req.body);
+      const { valid, errors } = this.deviceManager.validateDevice(req.body, this.profileManager);
+      if (!valid) {
+        return res.status(400).json({ errors });
+      }
+
+      const updated = this.deviceManager.updateDevice(id, req.body);
       res.json(updated);
     } catch (error) {
-      console.error('[Server] Error updating profile:', error.message);
+      this.log.error('Error updating device:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  handleDeleteProfile(req, res) {
+  handleDeleteDevice(req, res) {
     try {
-      const { id } = req.params;
-      const deleted = this.profileManager.deleteProfile(id);
+      const deleted = this.deviceManager.deleteDevice(req.params.id);
 
       if (deleted) {
-        res.json({ success: true, message: 'Profile deleted' });
+        res.json({ success: true, message: 'Device deleted' });
       } else {
-        res.status(404).json({ error: 'Profile not found' });
+        res.status(404).json({ error: 'Device not found' });
       }
     } catch (error) {
-      console.error('[Server] Error deleting profile:', error.message);
+      this.log.error('Error deleting device:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  async handleCaptureProfile(req, res) {
+  handleGetDeviceLogs(req, res) {
     try {
       const { id } = req.params;
-      const profile = this.profileManager.getProfile(id);
 
-      if (!profile) {
-        return res.status(404).json({ error: 'Profile not found' });
+      if (!this.deviceManager.getDevice(id)) {
+        return res.status(404).json({ error: 'Device not found' });
       }
 
-      const result = await this.screenshotService.captureScreenshot({
-        url: profile.url,
-        width: profile.width,
-        height: profile.height,
-        theme: profile.theme,
-        haToken: this.haToken,
-        outputFormat: profile.outputFormat
-      });
-
-      this.profileManager.recordCapture(id, result.success);
+      const limit = parseInt(req.query.limit) || 50;
+      const logs = this.deviceManager.getLogs(id, limit);
 
-      if (result.success) {
-        res.json(result);
-      } else {
-        res.status(400).json(result);
-      }
+      res.json({
+        total: logs.length,
+        logs
+      });
     } catch (error) {
-      console.error('[Server] Error capturing profile:', error.message);
+      this.log.error('Error getting device logs:', error.message);
       res.status(500).json({ error: error.message });
     }
   }
 
-  getWebUI() {
+  getWebUI(basePath = '') {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -434,6 +1435,25 @@ class ScreenshotServer {
       color: #2e7d32;
       border-left: 4px solid #2e7d32;
     }
+    .log-view {
+      background: #1e1e1e;
+      color: #ddd;
+      font-family: Menlo, Consolas, monospace;
+      font-size: 12px;
+      padding: 10px;
+      border-radius: 8px;
+      height: 500px;
+      overflow-y: auto;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .log-view .debug { color: #888; }
+    .log-view .warning { color: #ffb74d; }
+    .log-view .error { color: #ef5350; }
+    .log-filters { display: flex; gap: 10px; align-items: center; }
+    .log-filters select { width: auto; }
+    .log-filters label { display: inline; font-weight: normal; }
+    .log-filters input[type=checkbox] { width: auto; margin: 0 4px 0 0; }
     .screenshot-preview {
       max-width: 100%;
       height: auto;
@@ -458,7 +1478,10 @@ class ScreenshotServer {
       <button class="tab-btn active" onclick="switchTab('overview')">Overview</button>
       <button class="tab-btn" onclick="switchTab('profiles')">Profiles</button>
       <button class="tab-btn" onclick="switchTab('screenshots')">Screenshots</button>
+      <button class="tab-btn" onclick="switchTab('devices')">Devices</button>
       <button class="tab-btn" onclick="switchTab('capture')">Capture Now</button>
+      <button class="tab-btn" onclick="switchTab('logs')">Logs</button>
+      <button class="tab-btn" onclick="switchTab('settings')">Settings</button>
     </div>
 
     <div id="overview" class="tab-content active">
@@ -513,9 +1536,32 @@ class ScreenshotServer {
               <option value="bmp3">BMP3 (TRMNL)</option>
             </select>
           </div>
+          <div class="form-group">
+            <label>Dithering (BMP3 only)</label>
+            <select id="profile-dither">
+              <option value="floyd-steinberg">Floyd-Steinberg</option>
+              <option value="atkinson">Atkinson</option>
+              <option value="stucki">Stucki</option>
+              <option value="bayer-4x4">Ordered (Bayer 4x4)</option>
+              <option value="bayer-8x8">Ordered (Bayer 8x8)</option>
+              <option value="threshold">Threshold (no dithering)</option>
+            </select>
+          </div>
           <div class="form-group">
             <label>Refresh Interval (seconds, 0 = manual)</label>
-            <input type="number" id="profile-refresh" value="0" min="0">
+            <input type="number" id="profile-refresh" value="${this.profileManager.defaultRefreshInterval}" min="0">
+          </div>
+          <div class="form-group">
+            <label><input type="checkbox" id="profile-hide-header" style="width: auto"> Hide HA header</label>
+            <label><input type="checkbox" id="profile-hide-sidebar" style="width: auto"> Hide HA sidebar</label>
+          </div>
+          <div class="form-group">
+            <label>Custom CSS (optional)</label>
+            <textarea id="profile-css" rows="4" placeholder="ha-card { box-shadow: none !important; }"></textarea>
+          </div>
+          <div class="form-group">
+            <label>Cron Schedule (optional, overrides interval)</label>
+            <input type="text" id="profile-schedule" placeholder="*/5 6-22 * * *">
           </div>
           <div id="create-message"></div>
           <button type="submit" class="btn">Create Profile</button>
@@ -531,6 +1577,14 @@ class ScreenshotServer {
       <div id="screenshots-list" class="grid"></div>
     </div>
 
+    <div id="devices" class="tab-content">
+      <div class="card">
+        <h3>TRMNL Devices</h3>
+        <p class="card-info">Point a TRMNL device running BYOS firmware at this server. It registers itself on first contact; then choose which profile it displays.</p>
+      </div>
+      <div id="devices-list" class="grid"></div>
+    </div>
+
     <div id="capture" class="tab-content">
       <div class="card">
         <h3>Capture Screenshot Now</h3>
@@ -568,10 +1622,88 @@ class ScreenshotServer {
         <div id="capture-preview"></div>
       </div>
     </div>
+
+    <div id="logs" class="tab-content">
+      <div class="log-filters">
+        <select id="log-level" onchange="loadLogs()">
+          <option value="debug">Debug</option>
+          <option value="info" selected>Info</option>
+          <option value="warning">Warning</option>
+          <option value="error">Error</option>
+        </select>
+        <select id="log-profile" onchange="loadLogs()">
+          <option value="">All profiles</option>
+        </select>
+        <label><input type="checkbox" id="log-follow" checked>Follow</label>
+        <button class="btn secondary" onclick="loadLogs()">Reload</button>
+      </div>
+      <div id="log-level-note" class="card-info"></div>
+      <div id="log-view" class="log-view"></div>
+    </div>
+
+    <div id="settings" class="tab-content">
+      <div class="card">
+        <h3>API Keys</h3>
+        <p class="card-info">Once an API key exists, every API request needs one, except requests through the Home Assistant sidebar and from TRMNL devices. Send it in the <code>X-API-Key</code> header.</p>
+        <div class="form-group">
+          <label>API key used by this browser</label>
+          <input type="password" id="browser-api-key" placeholder="trmnl_...">
+        </div>
+        <button class="btn secondary" onclick="saveBrowserApiKey()">Save</button>
+      </div>
+      <div class="card">
+        <h3>Create API Key</h3>
+        <form onsubmit="createApiKey(event)">
+          <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="api-key-name" placeholder="Home Assistant integration" maxlength="100">
+          </div>
+          <div id="api-key-message"></div>
+          <button type="submit" class="btn">Create Key</button>
+        </form>
+      </div>
+      <div id="api-keys-list" class="grid"></div>
+    </div>
   </div>
 
   <script>
+    // Prefix added by HA ingress; every request and link must go through appUrl()
+    const BASE_PATH = ${JSON.stringify(basePath)};
+
+    function appUrl(path) {
+      return BASE_PATH + path;
+    }
+
+    // Needed when the UI is opened directly rather than through HA ingress
+    function getApiKey() {
+      return localStorage.getItem('trmnlApiKey') || '';
+    }
+
+    function api(path, options = {}) {
+      const key = getApiKey();
+      const headers = { ...(options.headers || {}), ...(key ? { 'X-API-Key': key } : {}) };
+      return fetch(appUrl(path), { ...options, headers });
+    }
+
+    // Images can't send headers, so the key goes in the query string
+    function withKey(path) {
+      const url = appUrl(path);
+      const key = getApiKey();
+      return key ? url + (url.includes('?') ? '&' : '?') + 'api_key=' + encodeURIComponent(key) : url;
+    }
+
+    // Names, URLs and device telemetry are user data and must not be parsed as markup
+    function escapeHtml(value) {
+      return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // A quoted JavaScript string for onclick handlers; the attribute is HTML-decoded before it runs
+    function jsString(value) {
+      return escapeHtml(JSON.stringify(String(value)));
+    }
+
     function switchTab(tabName) {
+      stopLogTail();
       document.querySelectorAll('.tab-content').forEach(el => el.classList.remove('active'));
       document.querySelectorAll('.tab-btn').forEach(el => el.classList.remove('active'));
       document.getElementById(tabName).classList.add('active');
@@ -579,13 +1711,18 @@ class ScreenshotServer {
 
       if (tabName === 'profiles') loadProfiles();
       if (tabName === 'screenshots') loadScreenshots();
+      if (tabName === 'devices') loadDevices();
+      if (tabName === 'settings') loadApiKeys();
+      if (tabName === 'logs') loadLogs();
     }
 
     function updateStatus() {
-      fetch('/health')
+      api('/health')
         .then(r => r.json())
         .then(data => {
-          document.getElementById('status').textContent = data.status === 'ok' ? '✅ Running' : '❌ Error';
+          document.getElementById('status').textContent = data.status === 'ok'
+            ? '✅ Running'
+            : data.status === 'degraded' ? '⚠️ Degraded: ' + data.degraded_reason : '❌ Error';
           document.getElementById('profile-count').textContent = data.profiles;
         })
         .catch(() => document.getElementById('status').textContent = '❌ Unavailable');
@@ -593,17 +1730,19 @@ class ScreenshotServer {
 
     async function loadProfiles() {
       try {
-        const res = await fetch('/api/profiles');
+        const res = await api('/api/profiles');
         const data = await res.json();
         const list = document.getElementById('profiles-list');
         list.innerHTML = data.profiles.map(p => \`
           <div class="card">
-            <h3>\${p.name}</h3>
-            <div class="card-info"><strong>URL:</strong> \${p.url}</div>
+            <h3>\${escapeHtml(p.name)}</h3>
+            <div class="card-info"><strong>URL:</strong> \${escapeHtml(p.url)}</div>
             <div class="card-info"><strong>Size:</strong> \${p.width}x\${p.height}</div>
-            <div class="card-info"><strong>Last Run:</strong> \${p.lastSuccess || 'Never'}</div>
-            <button class="btn" onclick="captureProfile('\${p.id}')">Capture Now</button>
-            <button class="btn secondary" onclick="deleteProfile('\${p.id}')">Delete</button>
+            <div class="card-info"><strong>Last Run:</strong> \${escapeHtml(p.lastSuccess || 'Never')}</div>
+            <div class="card-info"><strong>Next Run:</strong> \${p.nextRun ? new Date(p.nextRun).toLocaleString() : 'Manual'}</div>
+            <div class="card-info"><strong>Image URL:</strong> <a href="\${escapeHtml(withKey('/api/profiles/' + encodeURIComponent(p.id) + '/image'))}" target="_blank">/api/profiles/\${escapeHtml(p.id)}/image</a></div>
+            <button class="btn" onclick="captureProfile(\${jsString(p.id)})">Capture Now</button>
+            <button class="btn secondary" onclick="deleteProfile(\${jsString(p.id)})">Delete</button>
           </div>
         \`).join('');
       } catch (error) {
@@ -613,16 +1752,18 @@ class ScreenshotServer {
 
     async function loadScreenshots() {
       try {
-        const res = await fetch('/api/screenshots');
+        const res = await api('/api/screenshots');
         const data = await res.json();
         const list = document.getElementById('screenshots-list');
         list.innerHTML = data.screenshots.map(s => \`
           <div class="card">
-            <h3>\${s.filename}</h3>
+            <h3>\${escapeHtml(s.filename)}</h3>
             <div class="card-info"><strong>Size:</strong> \${(s.size / 1024).toFixed(2)} KB</div>
             <div class="card-info"><strong>Created:</strong> \${new Date(s.created).toLocaleString()}</div>
-            <img class="screenshot-preview" src="\${s.url}" alt="Screenshot">
-            <button class="btn secondary" onclick="deleteScreenshot('\${s.filename}')">Delete</button>
+            <div class="card-info"><strong>Profile:</strong> \${escapeHtml(s.profileId || 'None')}</div>
+            <div class="card-info"><strong>Capture Time:</strong> \${s.duration !== null ? (s.duration / 1000).toFixed(1) + ' s' : 'Unknown'}</div>
+            <img class="screenshot-preview" src="\${escapeHtml(withKey('/api/screenshot/' + encodeURIComponent(s.filename)))}" alt="Screenshot">
+            <button class="btn secondary" onclick="deleteScreenshot(\${jsString(s.filename)})">Delete</button>
           </div>
         \`).join('');
         document.getElementById('screenshot-count').textContent = data.total;
@@ -631,6 +1772,68 @@ class ScreenshotServer {
       }
     }
 
+    async function loadDevices() {
+      try {
+        const [devicesRes, profilesRes] = await Promise.all([api('/api/devices'), api('/api/profiles')]);
+        const devices = (await devicesRes.json()).devices;
+        const profiles = (await profilesRes.json()).profiles;
+        const list = document.getElementById('devices-list');
+        list.innerHTML = devices.map(d => \`
+          <div class="card">
+            <h3>\${escapeHtml(d.name)}</h3>
+            <div class="card-info"><strong>MAC:</strong> \${escapeHtml(d.macAddress)}</div>
+            <div class="card-info"><strong>Firmware:</strong> \${escapeHtml(d.firmwareVersion || 'Unknown')}</div>
+            <div class="card-info"><strong>Battery:</strong> \${d.batteryVoltage ? escapeHtml(d.batteryVoltage) + ' V' : 'Unknown'}</div>
+            <div class="card-info"><strong>Last Seen:</strong> \${d.lastSeen ? new Date(d.lastSeen).toLocaleString() : 'Never'}</div>
+            \${d.approved === false ? \`<div class="card-info"><strong>Waiting for approval</strong> <button class="btn" onclick="approveDevice(\${jsString(d.id)})">Approve</button></div>\` : ''}
+            <label>Profile</label>
+            <select onchange="assignProfile(\${jsString(d.id)}, this.value)">
+              <option value="">None</option>
+              \${profiles.map(p => \`<option value="\${escapeHtml(p.id)}" \${p.id === d.profileId ? 'selected' : ''}>\${escapeHtml(p.name)}</option>\`).join('')}
+            </select>
+            <button class="btn secondary" onclick="deleteDevice(\${jsString(d.id)})">Delete</button>
+          </div>
+        \`).join('');
+      } catch (error) {
+        console.error('Error loading devices:', error);
+      }
+    }
+
+    async function assignProfile(id, profileId) {
+      try {
+        await api(\`/api/devices/\${id}\`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ profileId: profileId || null })
+        });
+      } catch (error) {
+        alert('Update failed: ' + error.message);
+      }
+    }
+
+    async function approveDevice(id) {
+      try {
+        await api(\`/api/devices/\${id}\`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ approved: true })
+        });
+        loadDevices();
+      } catch (error) {
+        alert('Approval failed: ' + error.message);
+      }
+    }
+
+    async function deleteDevice(id) {
+      if (!confirm('Delete this device? It will register again on its next setup request.')) return;
+      try {
+        await api(\`/api/devices/\${id}\`, { method: 'DELETE' });
+        loadDevices();
+      } catch (error) {
+        alert('Delete failed: ' + error.message);
+      }
+    }
+
     async function createProfile(event) {
       event.preventDefault();
       const profile = {
@@ -640,11 +1843,16 @@ class ScreenshotServer {
         height: parseInt(document.getElementById('profile-height').value),
         theme: document.getElementById('profile-theme').value,
         outputFormat: document.getElementById('profile-format').value,
-        refreshInterval: parseInt(document.getElementById('profile-refresh').value)
+        dither: document.getElementById('profile-dither').value,
+        hideHeader: document.getElementById('profile-hide-header').checked,
+        hideSidebar: document.getElementById('profile-hide-sidebar').checked,
+        customCss: document.getElementById('profile-css').value,
+        refreshInterval: parseInt(document.getElementById('profile-refresh').value),
+        schedule: document.getElementById('profile-schedule').value.trim()
       };
 
       try {
-        const res = await fetch('/api/profiles', {
+        const res = await api('/api/profiles', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(profile)
@@ -659,13 +1867,13 @@ class ScreenshotServer {
           msg.innerHTML = '<div class="alert error">Failed to create profile</div>';
         }
       } catch (error) {
-        document.getElementById('create-message').innerHTML = '<div class="alert error">Error: ' + error.message + '</div>';
+        document.getElementById('create-message').innerHTML = '<div class="alert error">Error: ' + escapeHtml(error.message) + '</div>';
       }
     }
 
     async function captureProfile(id) {
       try {
-        const res = await fetch(\`/api/profiles/\${id}/capture\`, { method: 'POST' });
+        const res = await api(\`/api/profiles/\${id}/capture\`, { method: 'POST' });
         if (res.ok) {
           alert('Screenshot captured!');
           loadProfiles();
@@ -687,7 +1895,7 @@ class ScreenshotServer {
       };
 
       try {
-        const res = await fetch('/api/screenshot', {
+        const res = await api('/api/screenshot', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(capture)
@@ -696,21 +1904,21 @@ class ScreenshotServer {
         const msg = document.getElementById('capture-message');
         if (res.ok) {
           const data = await res.json();
-          msg.innerHTML = '<div class="alert success">Screenshot captured: ' + data.filename + '</div>';
-          document.getElementById('capture-preview').innerHTML = '<img class="screenshot-preview" src="/api/screenshot/' + data.filename + '">';
+          msg.innerHTML = '<div class="alert success">Screenshot captured: ' + escapeHtml(data.filename) + '</div>';
+          document.getElementById('capture-preview').innerHTML = '<img class="screenshot-preview" src="' + escapeHtml(withKey('/api/screenshot/' + encodeURIComponent(data.filename))) + '">';
           updateStatus();
         } else {
           msg.innerHTML = '<div class="alert error">Capture failed</div>';
         }
       } catch (error) {
-        document.getElementById('capture-message').innerHTML = '<div class="alert error">Error: ' + error.message + '</div>';
+        document.getElementById('capture-message').innerHTML = '<div class="alert error">Error: ' + escapeHtml(error.message) + '</div>';
       }
     }
 
     async function deleteScreenshot(filename) {
       if (!confirm('Delete this screenshot?')) return;
       try {
-        await fetch(\`/api/screenshot/\${filename}\`, { method: 'DELETE' });
+        await api(\`/api/screenshot/\${filename}\`, { method: 'DELETE' });
         loadScreenshots();
       } catch (error) {
         alert('Delete failed: ' + error.message);
@@ -720,13 +1928,161 @@ class ScreenshotServer {
     async function deleteProfile(id) {
       if (!confirm('Delete this profile?')) return;
       try {
-        await fetch(\`/api/profiles/\${id}\`, { method: 'DELETE' });
+        await api(\`/api/profiles/\${id}\`, { method: 'DELETE' });
         loadProfiles();
       } catch (error) {
         alert('Delete failed: ' + error.message);
       }
     }
 
+    async function loadApiKeys() {
+      document.getElementById('browser-api-key').value = getApiKey();
+      try {
+        const res = await api('/api/keys');
+        if (!res.ok) {
+          document.getElementById('api-keys-list').innerHTML = '<div class="alert error">Enter a valid API key above to manage keys</div>';
+          return;
+        }
+        const data = await res.json();
+        document.getElementById('api-keys-list').innerHTML = data.keys.map(k => \`
+          <div class="card">
+            <h3>\${escapeHtml(k.name)}</h3>
+            <div class="card-info"><strong>Key:</strong> \${escapeHtml(k.prefix)}…</div>
+            <div class="card-info"><strong>Created:</strong> \${new Date(k.created).toLocaleString()}</div>
+            <div class="card-info"><strong>Last Used:</strong> \${k.lastUsed ? new Date(k.lastUsed).toLocaleString() : 'Never'}</div>
+            <button class="btn secondary" onclick="revokeApiKey(\${jsString(k.id)})">Revoke</button>
+          </div>
+        \`).join('');
+      } catch (error) {
+        console.error('Error loading API keys:', error);
+      }
+    }
+
+    function saveBrowserApiKey() {
+      localStorage.setItem('trmnlApiKey', document.getElementById('browser-api-key').value.trim());
+      loadApiKeys();
+    }
+
+    async function createApiKey(event) {
+      event.preventDefault();
+      const msg = document.getElementById('api-key-message');
+      try {
+        const res = await api('/api/keys', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: document.getElementById('api-key-name').value.trim() || undefined })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          msg.innerHTML = '<div class="alert error">' + escapeHtml(data.error) + '</div>';
+          return;
+        }
+        msg.innerHTML = '<div class="alert success">Copy this key now, it will not be shown again: <code>' + escapeHtml(data.key) + '</code></div>';
+        if (!getApiKey()) {
+          localStorage.setItem('trmnlApiKey', data.key);
+        }
+        event.target.reset();
+        loadApiKeys();
+      } catch (error) {
+        msg.innerHTML = '<div class="alert error">Error: ' + escapeHtml(error.message) + '</div>';
+      }
+    }
+
+    async function revokeApiKey(id) {
+      if (!confirm('Revoke this API key? Clients using it will stop working.')) return;
+      try {
+        await api(\`/api/keys/\${id}\`, { method: 'DELETE' });
+        loadApiKeys();
+      } catch (error) {
+        alert('Revoke failed: ' + error.message);
+      }
+    }
+
+    // Logs tab: polls for entries newer than the last one shown
+    let lastLogId = 0;
+    let logTimer = null;
+    // Bumped whenever the tail restarts, so a poll still in flight for old filters is dropped
+    let logGeneration = 0;
+    const MAX_LOG_LINES = 1000;
+
+    function stopLogTail() {
+      clearTimeout(logTimer);
+      logTimer = null;
+      logGeneration++;
+    }
+
+    async function loadLogs() {
+      stopLogTail();
+      const generation = logGeneration;
+      lastLogId = 0;
+      document.getElementById('log-view').innerHTML = '';
+
+      // Offer every profile in the filter, keeping the current choice
+      const select = document.getElementById('log-profile');
+      const selected = select.value;
+      try {
+        const data = await (await api('/api/profiles')).json();
+        select.innerHTML = '<option value="">All profiles</option>';
+        data.profiles.forEach(p => select.add(new Option(p.name, p.id)));
+        select.value = selected;
+      } catch (error) {
+        console.error('Error loading profiles:', error);
+      }
+
+      if (generation === logGeneration) {
+        await pollLogs(generation);
+      }
+    }
+
+    async function pollLogs(generation) {
+      const params = new URLSearchParams({
+        level: document.getElementById('log-level').value,
+        since: lastLogId,
+        limit: 500
+      });
+      const profile = document.getElementById('log-profile').value;
+      if (profile) params.set('profile', profile);
+
+      try {
+        const res = await api('/api/logs?' + params);
+        const data = await res.json();
+        if (generation !== logGeneration) return;
+        if (!res.ok) throw new Error(data.error);
+        appendLogs(data.entries);
+        lastLogId = data.lastId;
+        document.getElementById('log-level-note').textContent = 'The addon logs at level "' + data.level + '"; lower levels are not recorded.';
+      } catch (error) {
+        if (generation !== logGeneration) return;
+        document.getElementById('log-level-note').textContent = 'Error loading logs: ' + error.message;
+      }
+
+      if (document.getElementById('logs').classList.contains('active')) {
+        logTimer = setTimeout(() => pollLogs(generation), 2000);
+      }
+    }
+
+    function appendLogs(entries) {
+      const view = document.getElementById('log-view');
+      const atBottom = view.scrollTop + view.clientHeight >= view.scrollHeight - 5;
+
+      for (const entry of entries) {
+        const line = document.createElement('div');
+        line.className = entry.level;
+        const tags = [entry.profile && 'profile=' + entry.profile, entry.job && 'job=' + entry.job].filter(Boolean).join(' ');
+        line.textContent = new Date(entry.time).toLocaleTimeString() + ' ' + entry.level.toUpperCase().padEnd(7) +
+          (entry.scope ? ' [' + entry.scope + ']' : '') + ' ' + entry.message + (tags ? ' (' + tags + ')' : '');
+        view.appendChild(line);
+      }
+
+      while (view.childNodes.length > MAX_LOG_LINES) {
+        view.removeChild(view.firstChild);
+      }
+
+      if (entries.length && atBottom && document.getElementById('log-follow').checked) {
+        view.scrollTop = view.scrollHeight;
+      }
+    }
+
     // Initial load
     updateStatus();
     setInterval(updateStatus, 10000);
@@ -738,41 +2094,51 @@ class ScreenshotServer {
 
   async start() {
     try {
+      // Before anything schedules or announces the profiles
+      await this.reconcileProfilesFile();
+
       const initialized = await this.screenshotService.initialize();
 
       if (!initialized) {
-        console.warn('[Server] Browser initialization failed, continuing anyway...');
+        this.log.warn('Browser not ready yet, captures fail until it starts');
       }
 
       this.server = this.app.listen(this.port, '0.0.0.0', () => {
-        console.log(`\n${'='.repeat(50)}`);
-        console.log('TRMNL Screenshot Addon Started');
-        console.log(`${'='.repeat(50)}`);
-        console.log(`✓ Server running on port ${this.port}`);
-        console.log(`✓ Web UI: http://localhost:${this.port}`);
-        console.log(`✓ Health: http://localhost:${this.port}/health`);
-        console.log(`✓ API: http://localhost:${this.port}/api`);
-        console.log(`✓ Home Assistant URL: ${this.haUrl}`);
-        console.log(`✓ Data path: ${this.dataPath}`);
-        console.log(`\n`);
+        this.log.info(`TRMNL Screenshot Addon started on port ${this.port}`);
+        this.log.info(`Web UI: http://localhost:${this.port}, health: /health, API: /api`);
+        this.log.info(`Home Assistant URL: ${this.haUrl}, data path: ${this.dataPath}`);
       });
 
+      this.scheduler.start();
+      this.retention.start();
+      this.haEntities.start();
+      this.mqtt.start();
+      this.triggers.start();
+
       // Graceful shutdown
       process.on('SIGTERM', () => this.shutdown());
       process.on('SIGINT', () => this.shutdown());
     } catch (error) {
-      console.error('[Server] Failed to start:', error.message);
+      this.log.error('Failed to start:', error.message);
       process.exit(1);
     }
   }
 
   async shutdown() {
-    console.log('\n[Server] Shutting down gracefully...');
+    this.log.info('Shutting down gracefully...');
+    // Stop scheduling, drop queued jobs and let running captures finish
+    const schedulerStopped = this.scheduler.stop();
+    this.retention.stop();
+    this.haEntities.stop();
+    this.triggers.stop();
+    await this.captureQueue.stop();
+    await schedulerStopped;
+    await this.mqtt.stop();
     await this.screenshotService.close();
 
     if (this.server) {
       this.server.close(() => {
-        console.log('[Server] Shutdown complete');
+        this.log.info('Shutdown complete');
         process.exit(0);
       });
     } else {
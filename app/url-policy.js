@@ -0,0 +1,205 @@
+/**
+ * URL Policy
+ * Decides which URLs may be captured, so the browser can't be pointed at
+ * cloud metadata services, link-local addresses or hosts the admin has denied
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Always blocked, whatever the allow and deny lists say
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, includes 169.254.169.254 (AWS, GCP, Azure metadata)
+  ['100.100.100.200', 32, 'ipv4'], // Alibaba Cloud metadata
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['fd00:ec2::254', 128, 'ipv6'] // AWS metadata over IPv6
+];
+
+const BLOCKED_HOSTNAMES = ['metadata', 'metadata.google.internal', 'metadata.goog'];
+
+/**
+ * Raised when a capture URL is rejected by the policy
+ */
+class UrlNotAllowedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlNotAllowedError';
+    this.code = 'URL_NOT_ALLOWED';
+  }
+}
+
+/**
+ * Strip brackets and unwrap IPv4-mapped IPv6 addresses
+ */
+function normalizeAddress(address) {
+  const value = address.replace(/^\[|\]$/g, '').toLowerCase();
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped ? mapped[1] : value;
+}
+
+/**
+ * Split list entries into CIDR/IP rules and hostname patterns
+ */
+function parseList(entries = []) {
+  const blockList = new net.BlockList();
+  const hosts = [];
+  let hasRanges = false;
+
+  for (const raw of entries) {
+    const entry = String(raw).trim().toLowerCase();
+    if (!entry) {
+      continue;
+    }
+
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address);
+    if (type) {
+      blockList.addSubnet(address, prefix !== undefined ? parseInt(prefix) : (type === 4 ? 32 : 128), `ipv${type}`);
+      hasRanges = true;
+    } else {
+      // Accept bare hosts, "*.example.com" and full origins
+      hosts.push(entry.includes('://') ? new URL(entry).hostname : entry);
+    }
+  }
+
+  return { blockList, hosts, hasRanges };
+}
+
+function matchesHost(hostname, patterns) {
+  return patterns.some(pattern => pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.substring(1))
+    : hostname === pattern);
+}
+
+function inList(address, list) {
+  const type = net.isIP(address);
+  return type !== 0 && list.check(address, `ipv${type}`);
+}
+
+class UrlPolicy {
+  constructor(options = {}) {
+    this.allow = parseList(options.allowlist);
+    this.deny = parseList(options.denylist);
+    this.haOrigin = options.haUrl ? new URL(options.haUrl).origin : null;
+
+    this.blocked = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      this.blocked.addSubnet(address, prefix, type);
+    }
+  }
+
+  /**
+   * Whether an allowlist is configured
+   */
+  hasAllowlist() {
+    return this.allow.hosts.length > 0 || this.allow.hasRanges;
+  }
+
+  /**
+   * Check a hostname or IP address against the built-in blocks and the deny list
+   * Returns the reason it is blocked, or null
+   */
+  checkAddress(hostname) {
+    const host = normalizeAddress(hostname);
+
+    if (BLOCKED_HOSTNAMES.includes(host) || inList(host, this.blocked)) {
+      return `${host} is a link-local or cloud metadata address`;
+    }
+
+    if (matchesHost(host, this.deny.hosts) || inList(host, this.deny.blockList)) {
+      return `${host} is on the URL denylist`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Synchronous check that needs no DNS lookup
+   * `target` also applies the allowlist; it is off for a page's subresources
+   */
+  checkSync(url, options = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return `Invalid URL: ${url}`;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return `Only http and https URLs can be captured, not ${parsed.protocol}`;
+    }
+
+    // The configured Home Assistant instance is always allowed, but only on its own scheme and port
+    if (parsed.origin === this.haOrigin) {
+      return null;
+    }
+
+    const host = normalizeAddress(parsed.hostname);
+
+    const blocked = this.checkAddress(host);
+    if (blocked) {
+      return blocked;
+    }
+
+    if (options.target === false || !this.hasAllowlist() || matchesHost(host, this.allow.hosts)) {
+      return null;
+    }
+
+    // Hostnames may still be allowed by an IP range once resolved (see assertAllowed)
+    if (net.isIP(host) ? !inList(host, this.allow.blockList) : !this.allow.hasRanges) {
+      return `${host} is not on the URL allowlist`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Full check of a capture target, including every address its hostname resolves to
+   * Throws UrlNotAllowedError when the URL is rejected
+   */
+  async assertAllowed(url) {
+    const reason = this.checkSync(url);
+    if (reason) {
+      throw new UrlNotAllowedError(reason);
+    }
+
+    const parsed = new URL(url);
+    const hostname = normalizeAddress(parsed.hostname);
+    if (parsed.origin === this.haOrigin || net.isIP(hostname)) {
+      return;
+    }
+
+    let addresses = [];
+    try {
+      addresses = await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      // Unresolvable hosts simply fail to load later
+      return;
+    }
+
+    for (const { address } of addresses) {
+      const blocked = this.checkAddress(address);
+      if (blocked) {
+        throw new UrlNotAllowedError(`${hostname} resolves to a blocked address: ${blocked}`);
+      }
+
+      if (this.allow.hasRanges && !matchesHost(hostname, this.allow.hosts) && !inList(normalizeAddress(address), this.allow.blockList)) {
+        throw new UrlNotAllowedError(`${hostname} resolves to ${address}, which is not on the URL allowlist`);
+      }
+    }
+  }
+
+  /**
+   * Abort every request a browser context makes to a blocked host
+   */
+  async protectContext(context) {
+    await context.route(
+      url => ['http:', 'https:'].includes(url.protocol) && this.checkSync(url.href, { target: false }) !== null,
+      route => route.abort('blockedbyclient')
+    );
+  }
+}
+
+module.exports = UrlPolicy;
+module.exports.UrlNotAllowedError = UrlNotAllowedError;
@@ -0,0 +1,171 @@
+/**
+ * Wait Strategies
+ * Readiness conditions applied to a page after navigation and before capture
+ */
+
+const STRATEGY_TYPES = ['selector', 'cards', 'function', 'delay'];
+
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Raised when a wait condition does not settle within its timeout
+ */
+class WaitTimeoutError extends Error {
+  constructor(strategy, timeout) {
+    super(`Wait condition ${describe(strategy)} did not settle within ${timeout}ms`);
+    this.name = 'WaitTimeoutError';
+    this.code = 'WAIT_TIMEOUT';
+    this.strategy = strategy;
+  }
+}
+
+/**
+ * Human-readable name of a strategy for log and error messages
+ */
+function describe(strategy) {
+  switch (strategy.type) {
+    case 'selector':
+      return `"selector: ${strategy.selector}"`;
+    case 'function':
+      return `"function: ${strategy.expression}"`;
+    case 'delay':
+      return `"delay: ${strategy.duration}ms"`;
+    default:
+      return `"${strategy.type}"`;
+  }
+}
+
+/**
+ * Accept a single strategy or a list and always return a list
+ */
+function normalize(waitFor) {
+  if (!waitFor) {
+    return [];
+  }
+
+  return Array.isArray(waitFor) ? waitFor : [waitFor];
+}
+
+/**
+ * Runs in the page: true once at least one ha-card exists and none of them
+ * shows a loading spinner. Walks open shadow roots since HA nests everything.
+ */
+function cardsSettled() {
+  const spinnerSelector = 'ha-spinner, ha-circular-progress, mwc-circular-progress, paper-spinner, .spinner';
+
+  const collect = (root, selector, found = []) => {
+    found.push(...root.querySelectorAll(selector));
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        collect(el.shadowRoot, selector, found);
+      }
+    }
+    return found;
+  };
+
+  const cards = collect(document, 'ha-card');
+  if (cards.length === 0) {
+    return false;
+  }
+
+  return cards.every(card => {
+    const roots = card.shadowRoot ? [card, card.shadowRoot] : [card];
+    const spinners = roots.flatMap(root => collect(root, spinnerSelector));
+    return spinners.every(spinner => spinner.offsetParent === null);
+  });
+}
+
+/**
+ * Apply one strategy to a page
+ */
+async function applyStrategy(page, strategy) {
+  const timeout = strategy.timeout || DEFAULT_TIMEOUT;
+
+  try {
+    switch (strategy.type) {
+      case 'selector':
+        // Playwright CSS locators pierce open shadow roots
+        await page.locator(strategy.selector).first().waitFor({ state: 'visible', timeout });
+        break;
+      case 'cards':
+        await page.waitForFunction(cardsSettled, null, { timeout, polling: 250 });
+        break;
+      case 'function':
+        await page.waitForFunction(strategy.expression, null, { timeout, polling: 250 });
+        break;
+      case 'delay':
+        await page.waitForTimeout(strategy.duration);
+        break;
+      default:
+        throw new Error(`Unknown wait strategy: ${strategy.type}`);
+    }
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new WaitTimeoutError(strategy, timeout);
+    }
+    throw new Error(`Wait condition ${describe(strategy)} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply strategies in order; each must settle before the next starts
+ */
+async function waitForReady(page, waitFor) {
+  for (const strategy of normalize(waitFor)) {
+    await applyStrategy(page, strategy);
+  }
+}
+
+/**
+ * Validate a profile's waitFor setting
+ */
+function validate(waitFor) {
+  const errors = [];
+
+  if (waitFor === null || waitFor === undefined) {
+    return errors;
+  }
+
+  if (typeof waitFor !== 'object') {
+    return ['waitFor must be an object or a list of objects'];
+  }
+
+  normalize(waitFor).forEach((strategy, i) => {
+    const label = `waitFor[${i}]`;
+
+    if (!strategy || typeof strategy !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!STRATEGY_TYPES.includes(strategy.type)) {
+      errors.push(`${label}.type must be one of: ${STRATEGY_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (strategy.timeout !== undefined && (typeof strategy.timeout !== 'number' || strategy.timeout <= 0)) {
+      errors.push(`${label}.timeout must be a positive number of milliseconds`);
+    }
+
+    if (strategy.type === 'selector' && (typeof strategy.selector !== 'string' || !strategy.selector)) {
+      errors.push(`${label}.selector is required for selector strategies`);
+    }
+
+    if (strategy.type === 'function' && (typeof strategy.expression !== 'string' || !strategy.expression)) {
+      errors.push(`${label}.expression is required for function strategies`);
+    }
+
+    if (strategy.type === 'delay' && (typeof strategy.duration !== 'number' || strategy.duration < 0 || strategy.duration > 60000)) {
+      errors.push(`${label}.duration must be a number of milliseconds between 0 and 60000`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  STRATEGY_TYPES,
+  WaitTimeoutError,
+  waitForReady,
+  validate
+};
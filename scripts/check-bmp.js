@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * BMP3 Reference Check
+ * Compares the encoder's output byte for byte with a hand-assembled reference BMP,
+ * then runs a full-size conversion through the screenshot service and verifies it
+ *
+ * Usage: node scripts/check-bmp.js
+ */
+
+const sharp = require('sharp');
+const bmpEncoder = require('../app/bmp-encoder');
+const ScreenshotService = require('../app/screenshot-service');
+
+// 3x2 image; top row black, white, black and bottom row all white
+const REFERENCE_PIXELS = [0, 255, 0, 255, 255, 255];
+
+const REFERENCE_BMP = Buffer.from([
+  // BITMAPFILEHEADER: signature, file size 70, reserved, data offset 62
+  0x42, 0x4d, 0x46, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x3e, 0x00, 0x00, 0x00,
+  // BITMAPINFOHEADER: size 40, width 3, height 2 (bottom-up), 1 plane, 1 bpp
+  0x28, 0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00,
+  // BI_RGB, image size 8, 2835 pixels per metre both ways, 2 colors used and important
+  0x00, 0x00, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00, 0x13, 0x0b, 0x00, 0x00, 0x13, 0x0b, 0x00, 0x00,
+  0x02, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00,
+  // Palette as BGRA: index 0 black, index 1 white
+  0x00, 0x00, 0x00, 0x00, 0xff, 0xff, 0xff, 0x00,
+  // Bottom row first: three white pixels, then padding to 4 bytes
+  0xe0, 0x00, 0x00, 0x00,
+  // Top row: black, white, black, then padding
+  0x40, 0x00, 0x00, 0x00
+]);
+
+const TRMNL_WIDTH = 800;
+const TRMNL_HEIGHT = 480;
+const TRMNL_FILE_SIZE = 48062;
+
+let failures = 0;
+
+function check(name, problems) {
+  if (problems.length === 0) {
+    console.log(`[CheckBmp] ok   ${name}`);
+  } else {
+    failures++;
+    console.log(`[CheckBmp] FAIL ${name}`);
+    for (const problem of problems) {
+      console.log(`  ${problem}`);
+    }
+  }
+}
+
+function compareBytes(actual, expected) {
+  if (actual.length !== expected.length) {
+    return [`Length ${actual.length} (expected ${expected.length})`];
+  }
+
+  const problems = [];
+  for (let i = 0; i < expected.length; i++) {
+    if (actual[i] !== expected[i]) {
+      problems.push(`Byte ${i}: 0x${actual[i].toString(16)} (expected 0x${expected[i].toString(16)})`);
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const encoded = bmpEncoder.encodeMonochrome(REFERENCE_PIXELS, 3, 2);
+  check('encoder matches the reference bytes', compareBytes(encoded, REFERENCE_BMP));
+
+  check('reference passes verify()', bmpEncoder.verify(REFERENCE_BMP, {
+    bitsPerPixel: 1,
+    palette: bmpEncoder.MONOCHROME_PALETTE,
+    width: 3,
+    height: 2
+  }));
+
+  const dirty = Buffer.from(REFERENCE_BMP);
+  dirty[dirty.length - 1] = 0x01;
+  check('verify() rejects non-zero row padding', bmpEncoder.verify(dirty).length > 0
+    ? []
+    : ['Padding byte was not reported']);
+
+  // A horizontal gradient exercises dithering across the whole width
+  const gradient = Buffer.alloc(TRMNL_WIDTH * TRMNL_HEIGHT);
+  for (let i = 0; i < gradient.length; i++) {
+    gradient[i] = Math.round(((i % TRMNL_WIDTH) * 255) / (TRMNL_WIDTH - 1));
+  }
+  const png = await sharp(gradient, { raw: { width: TRMNL_WIDTH, height: TRMNL_HEIGHT, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  const service = new ScreenshotService();
+  const bmp = await service.convertToBMP3(png);
+
+  const problems = bmpEncoder.verify(bmp, {
+    bitsPerPixel: 1,
+    palette: bmpEncoder.MONOCHROME_PALETTE,
+    width: TRMNL_WIDTH,
+    height: TRMNL_HEIGHT
+  });
+  if (bmp.length !== TRMNL_FILE_SIZE) {
+    problems.push(`File size ${bmp.length} (expected ${TRMNL_FILE_SIZE})`);
+  }
+  check(`${TRMNL_WIDTH}x${TRMNL_HEIGHT} conversion`, problems);
+  check(`${TRMNL_WIDTH}x${TRMNL_HEIGHT} header matches the reference layout`,
+    compareBytes(bmp.subarray(0, 2), REFERENCE_BMP.subarray(0, 2))
+      .concat(compareBytes(bmp.subarray(14, 18), REFERENCE_BMP.subarray(14, 18)))
+      .concat(compareBytes(bmp.subarray(26, 34), REFERENCE_BMP.subarray(26, 34)))
+      .concat(compareBytes(bmp.subarray(54, 62), REFERENCE_BMP.subarray(54, 62))));
+
+  if (failures > 0) {
+    throw new Error(`${failures} check(s) failed`);
+  }
+}
+
+main().catch(error => {
+  console.error('[CheckBmp] Failed:', error.message);
+  process.exit(1);
+});
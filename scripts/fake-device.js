@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Fake TRMNL Device
+ * Walks through the BYOS device protocol against a running addon:
+ * setup, display, image download and log submission
+ *
+ * Usage: node scripts/fake-device.js [server-url] [mac-address]
+ */
+
+const axios = require('axios');
+
+const serverUrl = (process.argv[2] || 'http://localhost:5001').replace(/\/$/, '');
+const macAddress = process.argv[3] || 'AA:BB:CC:DD:EE:FF';
+
+const deviceHeaders = {
+  'ID': macAddress,
+  'FW-Version': '1.5.0',
+  'Battery-Voltage': '4.1',
+  'RSSI': '-60',
+  'Refresh-Rate': '900',
+  'Width': '800',
+  'Height': '480'
+};
+
+async function main() {
+  console.log(`[FakeDevice] ${macAddress} -> ${serverUrl}`);
+
+  const setup = await axios.get(`${serverUrl}/api/setup`, { headers: deviceHeaders });
+  console.log('[FakeDevice] Setup:', setup.data);
+
+  const headers = { ...deviceHeaders, 'Access-Token': setup.data.api_key };
+
+  const display = await axios.get(`${serverUrl}/api/display`, { headers });
+  console.log('[FakeDevice] Display:', display.data);
+
+  if (display.data.image_url) {
+    const image = await axios.get(display.data.image_url, { responseType: 'arraybuffer' });
+    const buffer = Buffer.from(image.data);
+    console.log(`[FakeDevice] Image: ${image.headers['content-type']}, ${buffer.length} bytes, signature ${buffer.toString('ascii', 0, 2)}`);
+  }
+
+  const log = await axios.post(`${serverUrl}/api/log`, {
+    log: {
+      logs_array: [{
+        creation_timestamp: Math.floor(Date.now() / 1000),
+        log_message: 'Fake device check-in',
+        device_status_stamp: { wifi_rssi_level: -60, battery_voltage: 4.1 }
+      }]
+    }
+  }, { headers });
+  console.log(`[FakeDevice] Log: HTTP ${log.status}`);
+}
+
+main().catch(error => {
+  const detail = error.response ? `HTTP ${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+  console.error('[FakeDevice] Failed:', detail);
+  process.exit(1);
+});
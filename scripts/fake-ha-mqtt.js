@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Home Assistant MQTT Client
+ * Walks through the addon's MQTT topics on a local broker the way Home Assistant uses them:
+ * availability, discovery (after an HA birth message) and a capture command
+ *
+ * Usage: node scripts/fake-ha-mqtt.js [broker-url] [profile-id] [topic-prefix] [discovery-prefix]
+ */
+
+const mqtt = require('mqtt');
+
+const brokerUrl = process.argv[2] || 'mqtt://localhost:1883';
+const requestedProfile = process.argv[3] || null;
+const topicPrefix = process.argv[4] || 'trmnl_screenshot';
+const discoveryPrefix = process.argv[5] || 'homeassistant';
+
+const SETTLE_TIME = 2000;
+const CAPTURE_TIMEOUT = 120000;
+
+const availabilityTopic = `${topicPrefix}/status`;
+const discoveryTopic = `${discoveryPrefix}/+/trmnl_screenshot/+/config`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  console.log(`[FakeHaMqtt] Connecting to ${brokerUrl}`);
+  const client = await mqtt.connectAsync(brokerUrl, {
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  });
+
+  let availability = null;
+  let announced = 0;
+  const discovered = new Map();
+  const listeners = [];
+
+  client.on('message', (topic, payload, packet) => {
+    if (topic === availabilityTopic) {
+      availability = payload.toString();
+    } else if (topic.startsWith(`${discoveryPrefix}/`)) {
+      // An empty payload removes the entity
+      if (payload.length > 0) {
+        discovered.set(topic, JSON.parse(payload));
+        announced += packet.retain ? 0 : 1;
+      } else {
+        discovered.delete(topic);
+      }
+    }
+
+    for (const listener of listeners) {
+      listener(topic, payload, packet);
+    }
+  });
+
+  await client.subscribeAsync([availabilityTopic, discoveryTopic, `${topicPrefix}/+/state`], { qos: 1 });
+
+  // Let retained messages arrive; then Home Assistant's birth message makes the addon announce its profiles again
+  await sleep(SETTLE_TIME);
+  announced = 0;
+  await client.publishAsync(`${discoveryPrefix}/status`, 'online', { qos: 1 });
+  await sleep(SETTLE_TIME);
+
+  console.log(`[FakeHaMqtt] Availability: ${availability || 'none (is the addon connected to this broker?)'}`);
+  console.log(`[FakeHaMqtt] Discovered ${discovered.size} entities, ${announced} announced again after the birth message:`);
+  for (const [topic, config] of discovered) {
+    console.log(`  ${topic.split('/')[1].padEnd(8)} ${config.unique_id} "${config.device ? config.device.name : ''} ${config.name}"`);
+  }
+
+  const buttons = [...discovered.values()].filter(config => config.command_topic);
+  const commandTopic = requestedProfile
+    ? `${topicPrefix}/${requestedProfile}/capture`
+    : buttons.length > 0 ? buttons[0].command_topic : null;
+
+  if (!commandTopic) {
+    throw new Error('No profile announced; pass a profile id');
+  }
+
+  const stateTopic = commandTopic.replace(/\/capture$/, '/state');
+
+  // Retained states were already delivered; wait for the one this capture publishes
+  const state = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No state on ${stateTopic} within ${CAPTURE_TIMEOUT / 1000}s`)), CAPTURE_TIMEOUT);
+    listeners.push((topic, payload, packet) => {
+      if (topic === stateTopic && !packet.retain && payload.length > 0) {
+        clearTimeout(timer);
+        resolve(JSON.parse(payload));
+      }
+    });
+  });
+
+  console.log(`[FakeHaMqtt] Capture: ${commandTopic}`);
+  await client.publishAsync(commandTopic, 'capture', { qos: 1 });
+
+  console.log('[FakeHaMqtt] State:', await state);
+  await client.endAsync();
+}
+
+main().catch(error => {
+  console.error('[FakeHaMqtt] Failed:', error.message);
+  process.exit(1);
+});
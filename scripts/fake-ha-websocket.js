@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Home Assistant Websocket API
+ * Speaks enough of the HA websocket protocol to exercise state triggers: authentication,
+ * subscribe_events (state_changed), render_template and unsubscribe_events.
+ * Point the addon at it with HA_WS_URL and change states by typing commands:
+ *
+ *   set <entity id> <state>   change a state; notifies subscribers and re-renders templates
+ *   drop                      close every connection, to exercise reconnects
+ *   list                      show states and subscriptions
+ *
+ * Templates support `states('<entity id>')` and `is_state('<entity id>', '<state>')` only.
+ *
+ * Usage: node scripts/fake-ha-websocket.js [port] [token]
+ */
+
+const readline = require('readline');
+const { WebSocketServer } = require('ws');
+
+const port = parseInt(process.argv[2] || 8124);
+const token = process.argv[3] || null;
+
+const HA_VERSION = '2024.1.0';
+
+const states = new Map();
+const connections = new Set();
+
+function render(template) {
+  return template.replace(/\{\{(.*?)\}\}/g, (match, expression) => {
+    const is = expression.match(/is_state\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+    if (is) {
+      return String(states.get(is[1]) === is[2]);
+    }
+
+    const state = expression.match(/states\(\s*['"]([^'"]+)['"]\s*\)/);
+    if (state) {
+      return states.has(state[1]) ? states.get(state[1]) : 'unknown';
+    }
+
+    return expression.trim();
+  });
+}
+
+function stateObject(entityId, state) {
+  const now = new Date().toISOString();
+  return { entity_id: entityId, state, attributes: {}, last_changed: now, last_updated: now };
+}
+
+function handleConnection(socket) {
+  const connection = { socket, authenticated: false, events: new Set(), templates: new Map() };
+  connections.add(connection);
+  console.log(`[FakeHaWebsocket] Client connected (${connections.size} open)`);
+
+  const send = message => socket.send(JSON.stringify(message));
+  const result = (id, success = true, error = null) => send({ id, type: 'result', success, result: null, ...(error ? { error } : {}) });
+
+  send({ type: 'auth_required', ha_version: HA_VERSION });
+
+  socket.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('[FakeHaWebsocket] Invalid JSON:', data.toString());
+      return;
+    }
+
+    console.log('[FakeHaWebsocket] <-', JSON.stringify(message));
+
+    if (!connection.authenticated) {
+      if (message.type === 'auth' && (!token || message.access_token === token)) {
+        connection.authenticated = true;
+        send({ type: 'auth_ok', ha_version: HA_VERSION });
+      } else {
+        send({ type: 'auth_invalid', message: 'Invalid access token or password' });
+        socket.close();
+      }
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe_events':
+        if (message.event_type !== 'state_changed') {
+          return result(message.id, false, { code: 'not_supported', message: `Only state_changed is supported, got ${message.event_type}` });
+        }
+        connection.events.add(message.id);
+        return result(message.id);
+
+      case 'render_template': {
+        const subscription = { template: message.template, output: render(message.template) };
+        connection.templates.set(message.id, subscription);
+        result(message.id);
+        // Like HA, the current result is sent right away
+        return send({ id: message.id, type: 'event', event: { result: subscription.output, listeners: { all: false, entities: [], domains: [], time: false } } });
+      }
+
+      case 'unsubscribe_events': {
+        const found = connection.events.delete(message.subscription) || connection.templates.delete(message.subscription);
+        return found ? result(message.id) : result(message.id, false, { code: 'not_found', message: 'Subscription not found.' });
+      }
+
+      default:
+        return result(message.id, false, { code: 'unknown_command', message: 'Unknown command.' });
+    }
+  });
+
+  socket.on('close', () => {
+    connections.delete(connection);
+    console.log(`[FakeHaWebsocket] Client disconnected (${connections.size} open)`);
+  });
+}
+
+function setState(entityId, state) {
+  const oldState = states.has(entityId) ? stateObject(entityId, states.get(entityId)) : null;
+  states.set(entityId, state);
+
+  const event = {
+    event_type: 'state_changed',
+    data: { entity_id: entityId, old_state: oldState, new_state: stateObject(entityId, state) },
+    origin: 'LOCAL',
+    time_fired: new Date().toISOString()
+  };
+
+  for (const connection of connections) {
+    for (const id of connection.events) {
+      connection.socket.send(JSON.stringify({ id, type: 'event', event }));
+    }
+
+    // Templates only report a new result when it changed
+    for (const [id, subscription] of connection.templates) {
+      const output = render(subscription.template);
+      if (output !== subscription.output) {
+        subscription.output = output;
+        connection.socket.send(JSON.stringify({ id, type: 'event', event: { result: output, listeners: { all: false, entities: [entityId], domains: [], time: false } } }));
+      }
+    }
+  }
+
+  console.log(`[FakeHaWebsocket] ${entityId} = ${state}`);
+}
+
+function handleCommand(line) {
+  const [command, ...args] = line.trim().split(/\s+/);
+
+  switch (command) {
+    case 'set':
+      if (args.length < 2) {
+        console.log('Usage: set <entity id> <state>');
+      } else {
+        setState(args[0], args.slice(1).join(' '));
+      }
+      break;
+
+    case 'drop':
+      for (const connection of connections) {
+        connection.socket.terminate();
+      }
+      break;
+
+    case 'list':
+      console.log('States:', Object.fromEntries(states));
+      for (const connection of connections) {
+        console.log('Subscriptions:', {
+          events: [...connection.events],
+          templates: Object.fromEntries([...connection.templates].map(([id, s]) => [id, s.template]))
+        });
+      }
+      break;
+
+    case undefined:
+    case '':
+      break;
+
+    default:
+      console.log('Commands: set <entity id> <state>, drop, list');
+  }
+}
+
+const server = new WebSocketServer({ port, path: '/api/websocket' });
+server.on('connection', handleConnection);
+server.on('listening', () => {
+  console.log(`[FakeHaWebsocket] Listening on ws://localhost:${port}/api/websocket${token ? ' (token required)' : ''}`);
+});
+
+readline.createInterface({ input: process.stdin }).on('line', handleCommand);